@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Sustituir ${VAR} y ${VAR:-valor} por variables de entorno en los strings del fichero
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/gi, (match, name, fallback) => {
+      return process.env[name] !== undefined ? process.env[name] : (fallback || '');
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(expandEnv);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item)]));
+  }
+
+  return value;
+}
+
+// Leer la tabla de rutas desde un fichero YAML o JSON ({ routes: [...] } o directamente un array)
+function loadRoutesFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  const data = extension === '.json' ? JSON.parse(content) : yaml.load(content);
+  const routes = Array.isArray(data) ? data : data && data.routes;
+
+  if (!routes) {
+    throw new Error(`El fichero ${filePath} no contiene una clave 'routes'`);
+  }
+
+  return expandEnv(routes);
+}
+
+// Diferencias entre dos tablas de rutas, indexadas por 'path'
+function diffRoutes(previousRoutes = [], nextRoutes = []) {
+  const previous = new Map(previousRoutes.filter(route => route && route.path).map(route => [route.path, route]));
+  const next = new Map(nextRoutes.filter(route => route && route.path).map(route => [route.path, route]));
+
+  return {
+    added: [...next.keys()].filter(key => !previous.has(key)),
+    removed: [...previous.keys()].filter(key => !next.has(key)),
+    changed: [...next.keys()].filter(key =>
+      previous.has(key) && JSON.stringify(previous.get(key)) !== JSON.stringify(next.get(key))
+    )
+  };
+}
+
+// Resumen legible de un diff de rutas ('+/nueva -/eliminada ~/modificada')
+function formatDiff(diff) {
+  const parts = [
+    ...diff.added.map(path => `+${path}`),
+    ...diff.removed.map(path => `-${path}`),
+    ...diff.changed.map(path => `~${path}`)
+  ];
+  return parts.length > 0 ? parts.join(' ') : 'sin cambios';
+}
+
+// Vigilar cambios del fichero (por polling, para sobrevivir a editores que reemplazan el fichero)
+function watchRoutesFile(filePath, onChange, interval = 2000) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs && current.mtimeMs !== 0) {
+      onChange();
+    }
+  };
+
+  fs.watchFile(filePath, { interval, persistent: false }, listener);
+
+  return () => fs.unwatchFile(filePath, listener);
+}
+
+module.exports = {
+  loadRoutesFile,
+  diffRoutes,
+  formatDiff,
+  watchRoutesFile,
+  expandEnv
+};
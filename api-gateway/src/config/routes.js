@@ -10,7 +10,31 @@ module.exports = {
         '^/api/auth/v1': '/api/auth' // Reemplaza el prefijo con la ruta del auth-service
       },
       timeout: 60000,
-      retries: 3
+      retries: 3,
+      auth: {
+        mode: 'required', // login, registro, refresh, reset de contraseña y verificación de email están en globalConfig.auth.publicPaths
+        roles: []
+      },
+      rateLimit: [
+        { name: 'default', windowMs: 15 * 60 * 1000, max: 1000, keyBy: 'user' },
+        // Login, registro, reset de contraseña y verificación de email no llevan token: se limitan por IP (el auth-service bloquea además por cuenta)
+        {
+          name: 'login',
+          paths: [
+            '/api/auth/v1/login',
+            '/api/auth/v1/register',
+            '/api/auth/v1/forgot-password',
+            '/api/auth/v1/reset-password',
+            '/api/auth/v1/send-verification',
+            '/api/auth/v1/verify-email'
+          ],
+          methods: ['GET', 'POST'],
+          windowMs: 15 * 60 * 1000,
+          max: 100,
+          keyBy: 'ip',
+          message: 'Demasiados intentos de login desde esta IP, intenta de nuevo en 15 minutos'
+        }
+      ]
       // healthCheck: '/health' // Disabled temporarily
     },
     {
@@ -22,7 +46,11 @@ module.exports = {
         '^/api/users/v1': ''
       },
       timeout: 60000,
-      retries: 3
+      retries: 3,
+      auth: {
+        mode: 'required',
+        roles: []
+      }
       // healthCheck: '/health' // Disabled temporarily
     },
     {
@@ -34,7 +62,11 @@ module.exports = {
         '^/api/products/v1': ''
       },
       timeout: 60000,
-      retries: 3
+      retries: 3,
+      auth: {
+        mode: 'required',
+        roles: []
+      }
       // healthCheck: '/health' // Disabled temporarily
     },
     {
@@ -46,7 +78,11 @@ module.exports = {
         '^/api/orders/v1': ''
       },
       timeout: 60000,
-      retries: 3
+      retries: 3,
+      auth: {
+        mode: 'required',
+        roles: []
+      }
       // healthCheck: '/health' // Disabled temporarily
     },
     {
@@ -58,7 +94,11 @@ module.exports = {
         '^/api/notifications/v1': ''
       },
       timeout: 60000,
-      retries: 3
+      retries: 3,
+      auth: {
+        mode: 'required',
+        roles: []
+      }
       // healthCheck: '/health' // Disabled temporarily
     },
     {
@@ -71,7 +111,11 @@ module.exports = {
       },
       timeout: 60000,
       retries: 3,
-      ws: true // Habilitar soporte para WebSockets
+      ws: true, // Habilitar soporte para WebSockets
+      auth: {
+        mode: 'none' // El servidor WebSocket gestiona su propia autenticación
+      },
+      rateLimit: { name: 'notify', windowMs: 60 * 1000, max: 120, keyBy: 'apiKey' }
       // healthCheck: '/health' // Disabled temporarily
     },
     {
@@ -81,7 +125,11 @@ module.exports = {
       changeOrigin: true,
       timeout: 60000,
       retries: 3,
-      ws: true // Habilitar soporte para WebSockets
+      ws: true, // Habilitar soporte para WebSockets
+      auth: {
+        mode: 'none' // El handshake de Socket.IO no lleva header Authorization
+      },
+      rateLimit: false // El long-polling de Socket.IO genera muchas peticiones por cliente
     }
   ],
   
@@ -99,10 +147,56 @@ module.exports = {
     
     // Configuración de circuit breaker
     circuitBreaker: {
-      enabled: true,
-      threshold: 5, // Número de fallos antes de abrir el circuito
-      timeout: 60000, // Tiempo en ms antes de intentar cerrar el circuito
-      resetTimeout: 30000 // Tiempo en ms para resetear el contador de fallos
+      enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+      threshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5, // Número de fallos antes de abrir el circuito
+      timeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT) || 60000, // Tiempo en ms antes de intentar cerrar el circuito
+      resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 30000 // Tiempo en ms para resetear el contador de fallos
+    },
+
+    // Autenticación en el gateway. Cada ruta puede definir `auth`:
+    //   mode: 'required' | 'optional' | 'none'
+    //   roles: roles permitidos (vacío = cualquier usuario autenticado)
+    //   permissions: permisos requeridos, todos (p. ej. ['users:read']); vienen en el token según el rol
+    //   skipPaths: rutas completas que no requieren token
+    auth: {
+      defaultMode: 'required',
+      // Rutas públicas para cualquier ruta configurada
+      publicPaths: [
+        '/api/auth/v1/login',
+        '/api/auth/v1/register',
+        '/api/auth/v1/refresh',
+        '/api/auth/v1/forgot-password',
+        '/api/auth/v1/reset-password',
+        // Con token se envía al usuario autenticado; sin token, al email del body
+        '/api/auth/v1/send-verification',
+        '/api/auth/v1/verify-email',
+        // Alta obligatoria de 2FA durante el login: se autentica con el mfaToken del body
+        '/api/auth/v1/2fa/setup',
+        '/api/auth/v1/2fa/enable'
+      ]
+    },
+
+    // Rate limiting por ruta. Cada ruta puede definir `rateLimit` (objeto, array de políticas o false):
+    //   windowMs, max: ventana en ms y peticiones permitidas en ella
+    //   keyBy: 'user' (usuario autenticado), 'apiKey' (header apiKeyHeader) o 'ip'; sin usuario/API key se usa la IP
+    //   paths, methods: limitar la política a rutas completas o métodos concretos
+    //   name, message: nombre de la política (métricas y logs) y mensaje del 429
+    rateLimit: {
+      store: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' (una réplica) o 'redis' (compartido entre réplicas)
+      redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+      apiKeyHeader: 'X-API-Key',
+      failOpen: process.env.RATE_LIMIT_FAIL_OPEN !== 'false', // Dejar pasar peticiones si el store no responde
+      // Política de las rutas sin `rateLimit`
+      default: {
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+        max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000,
+        keyBy: 'user'
+      }
+    },
+
+    // Configuración de reintentos (solo métodos idempotentes, backoff exponencial)
+    retry: {
+      baseDelay: parseInt(process.env.RETRY_BASE_DELAY) || 1000 // Retraso del primer reintento en ms
     }
   }
 };
@@ -112,21 +206,144 @@ module.exports.getRouteConfig = function(path) {
   return this.routes.find(route => path.startsWith(route.path));
 };
 
-// Función para validar configuración
-module.exports.validateConfig = function() {
+// Normalizar un prefijo de ruta para compararlo ('/api/x/' -> '/api/x')
+function normalizePath(path) {
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+// Claves por las que una política de rate limiting puede contar peticiones
+const RATE_LIMIT_KEY_TYPES = ['user', 'apiKey', 'ip'];
+
+// Validar una política de rate limiting (ver globalConfig.rateLimit)
+function validateRateLimitPolicy(policy, prefix) {
   const errors = [];
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return [`${prefix}: debe ser un objeto`];
+  }
+  if (!Number.isInteger(policy.windowMs) || policy.windowMs < 1000) {
+    errors.push(`${prefix}: 'windowMs' debe ser un entero de al menos 1000`);
+  }
+  if (!Number.isInteger(policy.max) || policy.max < 0) {
+    errors.push(`${prefix}: 'max' debe ser un entero no negativo`);
+  }
+  if (policy.keyBy !== undefined && !RATE_LIMIT_KEY_TYPES.includes(policy.keyBy)) {
+    errors.push(`${prefix}: 'keyBy' debe ser ${RATE_LIMIT_KEY_TYPES.join(', ')}`);
+  }
+  if (policy.paths !== undefined &&
+    (!Array.isArray(policy.paths) || policy.paths.some(path => typeof path !== 'string' || !path.startsWith('/')))) {
+    errors.push(`${prefix}: 'paths' debe ser un array de rutas que empiecen por '/'`);
+  }
+  if (policy.methods !== undefined &&
+    (!Array.isArray(policy.methods) || policy.methods.some(method => typeof method !== 'string'))) {
+    errors.push(`${prefix}: 'methods' debe ser un array de métodos HTTP`);
+  }
+
+  return errors;
+}
+
+// Función para validar configuración (por defecto, la tabla de rutas activa)
+module.exports.validateConfig = function(routes = this.routes) {
+  const errors = [];
+
+  if (!Array.isArray(routes)) {
+    return ["'routes' debe ser un array"];
+  }
   
-  this.routes.forEach((route, index) => {
+  routes.forEach((route, index) => {
+    if (!route || typeof route !== 'object') {
+      errors.push(`Ruta ${index}: debe ser un objeto`);
+      return;
+    }
     if (!route.path) {
       errors.push(`Ruta ${index}: 'path' es requerido`);
+    } else if (typeof route.path !== 'string' || !route.path.startsWith('/')) {
+      errors.push(`Ruta ${index}: 'path' debe empezar por '/'`);
     }
     if (!route.target) {
       errors.push(`Ruta ${index}: 'target' es requerido`);
+    } else {
+      try {
+        const url = new URL(route.target);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          errors.push(`Ruta ${index}: 'target' debe usar http o https (${route.target})`);
+        }
+      } catch (error) {
+        errors.push(`Ruta ${index}: 'target' no es una URL válida (${route.target})`);
+      }
     }
     if (route.timeout && route.timeout < 1000) {
       errors.push(`Ruta ${index}: 'timeout' debe ser al menos 1000ms`);
     }
+    if (route.retries !== undefined && (!Number.isInteger(route.retries) || route.retries < 0)) {
+      errors.push(`Ruta ${index}: 'retries' debe ser un entero no negativo`);
+    }
+    if (route.pathRewrite !== undefined) {
+      if (!route.pathRewrite || typeof route.pathRewrite !== 'object' || Array.isArray(route.pathRewrite)) {
+        errors.push(`Ruta ${index}: 'pathRewrite' debe ser un objeto { patrón: reemplazo }`);
+      } else {
+        Object.entries(route.pathRewrite).forEach(([pattern, replacement]) => {
+          try {
+            new RegExp(pattern);
+          } catch (error) {
+            errors.push(`Ruta ${index}: 'pathRewrite' tiene una expresión regular inválida '${pattern}': ${error.message}`);
+          }
+          if (typeof replacement !== 'string') {
+            errors.push(`Ruta ${index}: el reemplazo de '${pattern}' en 'pathRewrite' debe ser un string`);
+          }
+        });
+      }
+    }
+    if (route.circuitBreaker !== undefined) {
+      if (!route.circuitBreaker || typeof route.circuitBreaker !== 'object' || Array.isArray(route.circuitBreaker)) {
+        errors.push(`Ruta ${index}: 'circuitBreaker' debe ser un objeto { threshold, timeout, resetTimeout }`);
+      } else {
+        ['threshold', 'timeout', 'resetTimeout'].forEach(field => {
+          const value = route.circuitBreaker[field];
+          if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+            errors.push(`Ruta ${index}: 'circuitBreaker.${field}' debe ser un entero positivo`);
+          }
+        });
+      }
+    }
+    if (route.auth && route.auth.mode && !['required', 'optional', 'none'].includes(route.auth.mode)) {
+      errors.push(`Ruta ${index}: 'auth.mode' debe ser required, optional o none`);
+    }
+    // Los upgrades de WebSocket no pasan por Express: ni la autenticación ni el rate limiting del
+    // gateway se aplican a ellos, así que la ruta debe declarar que el servicio se autentica solo
+    if (route.ws && (route.auth && route.auth.mode) !== 'none') {
+      errors.push(`Ruta ${index}: con 'ws: true' debe indicarse 'auth.mode: none' (el gateway no autentica los upgrades de WebSocket)`);
+    }
+    if (route.rateLimit !== undefined && route.rateLimit !== false) {
+      [].concat(route.rateLimit).forEach((policy, policyIndex) => {
+        errors.push(...validateRateLimitPolicy(policy, `Ruta ${index}: 'rateLimit[${policyIndex}]'`));
+      });
+    }
+    if (route.enabled !== undefined && typeof route.enabled !== 'boolean') {
+      errors.push(`Ruta ${index}: 'enabled' debe ser true o false`);
+    }
+  });
+
+  // Prefijos duplicados o solapados: Express solo usaría el primero que coincida.
+  // Los duplicados se detectan siempre; los solapamientos solo entre rutas habilitadas.
+  const paths = routes
+    .map((route, index) => ({
+      index,
+      path: route && typeof route.path === 'string' ? normalizePath(route.path) : null,
+      enabled: !route || route.enabled !== false
+    }))
+    .filter(entry => entry.path);
+
+  paths.forEach((a, i) => {
+    paths.slice(i + 1).forEach(b => {
+      if (a.path === b.path) {
+        errors.push(`Rutas ${a.index} y ${b.index}: 'path' duplicado (${a.path})`);
+      } else if (a.enabled && b.enabled &&
+        (b.path.startsWith(`${a.path}/`) || a.path.startsWith(`${b.path}/`) || a.path === '/' || b.path === '/')) {
+        errors.push(`Rutas ${a.index} y ${b.index}: prefijos solapados (${a.path}, ${b.path})`);
+      }
+    });
   });
   
   return errors;
-};
\ No newline at end of file
+};
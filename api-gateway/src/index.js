@@ -4,13 +4,21 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { createProxyMiddleware } = require('http-proxy-middleware');
 require('dotenv').config();
 
 const routeConfig = require('./config/routes');
 const { errorHandler } = require('./middleware/errorHandler');
+const routeTable = require('./middleware/routeTable');
+const requestId = require('./middleware/requestId');
+const traceRequest = require('./middleware/tracing');
+const { loadRoutesFile, watchRoutesFile } = require('./config/loader');
 const healthCheck = require('./routes/health');
+const adminRoutes = require('./routes/admin');
+const metricsRoutes = require('./routes/metrics');
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+const { tracer } = require('./utils/tracing');
+const { closeStores } = require('./utils/rateLimitStores');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,7 +26,7 @@ const PORT = process.env.PORT || 3000;
 // Trust proxy configuration for rate limiting
 app.set('trust proxy', 1);
 
-// Rate limiting
+// Rate limiting de los endpoints propios del gateway (las rutas de la tabla usan sus políticas `rateLimit`)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 1000, // límite de 1000 requests por ventana por IP
@@ -26,9 +34,19 @@ const limiter = rateLimit({
     error: 'Demasiadas peticiones desde esta IP, intenta de nuevo más tarde.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    metrics.recordRateLimitRejection('global');
+    res.status(options.statusCode).json({ ...options.message, requestId: req.id });
+  }
 });
 
+// Correlación de peticiones (X-Request-ID): primero, para que todos los logs y respuestas lo incluyan
+app.use(requestId);
+
+// Trazas distribuidas (W3C traceparent), exportadas según TRACING_EXPORTER
+app.use(traceRequest);
+
 // Middleware básico
 app.use(helmet());
 app.use(cors({
@@ -37,40 +55,58 @@ app.use(cors({
 }));
 app.use(compression());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
-app.use(express.json({ limit: '10mb' }));
+// Se guarda el body crudo para reenviarlo sin cambios (firmas HMAC de los webhooks)
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(limiter);
+
+// Métricas Prometheus (sin rate limiting para no limitar los scrapes)
+if (process.env.ENABLE_METRICS !== 'false') {
+  app.use('/metrics', metricsRoutes);
+}
 
 // Health check endpoint
-app.use('/health', healthCheck);
-
-// Configurar rutas de proxy para microservicios
-routeConfig.routes.forEach(route => {
-  const proxyOptions = {
-    target: route.target,
-    changeOrigin: route.changeOrigin || true,
-    pathRewrite: route.pathRewrite || {},
-    timeout: route.timeout || 10000,
-    ws: true, // Habilitar soporte para WebSockets
-    onProxyReq: (proxyReq, req, res) => {
-      logger.info(`Proxying ${req.method} ${req.originalUrl} -> ${route.target}`);
-    },
-    onProxyRes: (proxyRes, req, res) => {
-      logger.info(`Proxy response: ${proxyRes.statusCode} for ${req.originalUrl}`);
-    },
-    onError: (err, req, res) => {
-      logger.error(`Proxy error for ${req.originalUrl}:`, err.message);
-      if (!res.headersSent) {
-        res.status(502).json({
-          error: 'Bad Gateway',
-          message: err.message
-        });
-      }
-    }
-  };
-
-  app.use(route.path, createProxyMiddleware(proxyOptions));
-});
+app.use('/health', limiter, healthCheck);
+
+// API de administración (rutas, circuit breakers y cache de tokens)
+app.use('/admin', limiter, adminRoutes);
+
+// Tabla de rutas: fichero externo (ROUTES_CONFIG_FILE, YAML o JSON) o rutas por defecto de config/routes.js
+const routesFile = process.env.ROUTES_CONFIG_FILE;
+
+// Recargar la tabla desde el fichero; si falla se conserva la tabla anterior
+const reloadRoutesFromFile = (reason) => {
+  try {
+    return routeTable.update(loadRoutesFile(routesFile), reason);
+  } catch (error) {
+    logger.error(`No se pudo leer ${routesFile} (${reason}), se mantiene la tabla anterior`, {
+      error: error.message
+    });
+    return { applied: false, errors: [error.message] };
+  }
+};
+
+const initialLoad = routesFile
+  ? reloadRoutesFromFile('inicio')
+  : routeTable.update(routeConfig.routes, 'inicio');
+
+// Sin secreto de cliente el auth-service rechaza todas las introspecciones y ninguna petición autenticada pasaría
+if (process.env.AUTH_SERVICE_URL && !process.env.INTROSPECTION_CLIENT_SECRET) {
+  logger.error('INTROSPECTION_CLIENT_SECRET no está configurado, no se puede iniciar el gateway');
+  process.exit(1);
+}
+
+if (!initialLoad.applied) {
+  logger.error('Configuración de rutas inválida, no se puede iniciar el gateway', { errors: initialLoad.errors });
+  process.exit(1);
+}
+
+if (routesFile) {
+  watchRoutesFile(routesFile, () => reloadRoutesFromFile('cambio en fichero'));
+  process.on('SIGHUP', () => reloadRoutesFromFile('SIGHUP'));
+}
+
+// Configurar rutas de proxy para microservicios (autenticación + circuit breaker + reintentos)
+app.use(routeTable.middleware());
 
 // Middleware de manejo de errores
 app.use(errorHandler);
@@ -84,7 +120,8 @@ app.get('/', (req, res) => {
     services: routeConfig.routes.map(route => ({
       path: route.path,
       service: route.target,
-      description: route.description
+      description: route.description,
+      auth: (route.auth && route.auth.mode) || routeConfig.globalConfig.auth.defaultMode
     }))
   });
 });
@@ -95,7 +132,8 @@ app.use('*', (req, res) => {
     error: 'Ruta no encontrada',
     path: req.originalUrl,
     method: req.method,
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    requestId: req.id
   });
 });
 
@@ -103,23 +141,28 @@ app.use('*', (req, res) => {
 const http = require('http');
 const server = http.createServer(app);
 
+// Upgrades de WebSocket según la tabla de rutas vigente
+server.on('upgrade', (req, socket, head) => routeTable.handleUpgrade(req, socket, head));
+
 // Iniciar servidor
 server.listen(PORT, () => {
   logger.info(`🚀 API Gateway iniciado en puerto ${PORT}`);
-  logger.info(`📋 Rutas configuradas: ${routeConfig.routes.length}`);
+  logger.info(`📋 Rutas configuradas: ${routeConfig.routes.length}${routesFile ? ` (desde ${routesFile})` : ''}`);
   routeConfig.routes.forEach(route => {
     logger.info(`   ${route.path} -> ${route.target}`);
   });
 });
 
-// Manejo de cierre graceful
-process.on('SIGTERM', () => {
+// Manejo de cierre graceful (enviando antes los spans pendientes)
+process.on('SIGTERM', async () => {
   logger.info('SIGTERM recibido, cerrando servidor...');
+  await Promise.all([tracer.shutdown(), closeStores()]);
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   logger.info('SIGINT recibido, cerrando servidor...');
+  await Promise.all([tracer.shutdown(), closeStores()]);
   process.exit(0);
 });
 
@@ -1,25 +1,30 @@
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { verifyAccessToken, JwksUnavailableError } = require('../utils/jwks');
+const metrics = require('../utils/metrics');
+const { getRequestId } = require('../utils/requestContext');
+const { tracer, SpanKind } = require('../utils/tracing');
 const { createError, ErrorTypes } = require('./errorHandler');
 
-// Cache para tokens validados (simple cache en memoria)
+// Cache para tokens validados (simple cache en memoria). Mientras dura, el token no se
+// introspecciona: un usuario desactivado o bloqueado pasa el gateway como mucho este tiempo.
 const tokenCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutos
+const CACHE_TTL = parseInt(process.env.TOKEN_CACHE_TTL) || 10 * 1000; // 10 segundos
 
 // Middleware de autenticación JWT
 function authenticateToken(options = {}) {
   const {
     required = true,
     roles = [],
+    permissions = [],
     skipPaths = [],
     authServiceUrl = process.env.AUTH_SERVICE_URL
   } = options;
 
   return async (req, res, next) => {
     try {
-      // Verificar si la ruta debe ser omitida
-      if (skipPaths.some(path => req.path.startsWith(path))) {
+      // Verificar si la ruta debe ser omitida (se compara la ruta completa, no la relativa al montaje)
+      if (isPathMatch(getRequestPath(req), skipPaths)) {
         return next();
       }
 
@@ -41,45 +46,53 @@ function authenticateToken(options = {}) {
 
       // Verificar cache primero
       const cachedData = tokenCache.get(token);
-      if (cachedData && Date.now() - cachedData.timestamp < CACHE_TTL) {
-        req.user = cachedData.user;
-        req.token = token;
-        return next();
-      }
+      const isCached = cachedData && Date.now() - cachedData.timestamp < CACHE_TTL;
+      metrics.recordTokenCache(!!isCached);
 
-      // Validar token localmente primero (verificación básica)
+      // Validar token localmente primero con la clave pública de su kid (JWKS del auth-service)
       let decoded;
       try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: false });
+        decoded = await verifyAccessToken(token);
       } catch (jwtError) {
+        if (jwtError instanceof JwksUnavailableError) {
+          logger.error(`Sin claves para verificar el token: ${jwtError.message}`);
+          return next(createError(503, 'Servicio de autenticación no disponible temporalmente'));
+        }
+
         logger.warn('Token JWT inválido', { 
           error: jwtError.message, 
           token: token.substring(0, 20) + '...',
           ip: req.ip 
         });
+        tokenCache.delete(token);
         return next(createError(401, 'Token inválido'));
       }
 
-      // Validar con el servicio de autenticación si está disponible
-      if (authServiceUrl) {
+      if (isCached) {
+        req.user = cachedData.user;
+      } else if (authServiceUrl) {
+        // Validar con el servicio de autenticación si está disponible
         try {
-          const validationResponse = await validateTokenWithAuthService(token, authServiceUrl);
+          const validationResponse = await tracer.withSpan('auth introspect', {
+            kind: SpanKind.CLIENT,
+            attributes: { 'peer.service': authServiceUrl }
+          }, () => validateTokenWithAuthService(token, authServiceUrl));
           
           if (!validationResponse.valid) {
+            tokenCache.delete(token);
             return next(createError(401, 'Token no válido en el servicio de autenticación'));
           }
 
-          // Usar datos del servicio de autenticación si están disponibles
-          req.user = validationResponse.user || decoded;
+          // Usar datos actuales del servicio de autenticación (rol, departamento) sobre los del token
+          req.user = validationResponse.user ? { ...decoded, ...validationResponse.user } : decoded;
         } catch (authServiceError) {
-          logger.warn('Error al validar token con servicio de autenticación', {
+          // Sin introspección no se sabe si el usuario sigue activo o si su sesión se revocó:
+          // se rechaza la petición (y no se guarda nada en cache)
+          logger.error('Error al validar token con servicio de autenticación', {
             error: authServiceError.message,
-            authServiceUrl,
-            fallbackToLocal: true
+            authServiceUrl
           });
-          
-          // Fallback a validación local si el servicio no está disponible
-          req.user = decoded;
+          return next(createError(503, 'Servicio de autenticación no disponible temporalmente'));
         }
       } else {
         // Solo validación local
@@ -91,19 +104,33 @@ function authenticateToken(options = {}) {
         return next(createError(403, 'Permisos insuficientes'));
       }
 
+      // Verificar permisos si se especifican (hacen falta todos)
+      const missingPermission = permissions.find(permission => !hasPermission(req.user, permission));
+      if (missingPermission) {
+        return next(createError(403, `Permiso requerido: ${missingPermission}`));
+      }
+
       // Guardar en cache
-      tokenCache.set(token, {
-        user: req.user,
-        timestamp: Date.now()
-      });
+      if (!isCached) {
+        tokenCache.set(token, {
+          user: req.user,
+          timestamp: Date.now()
+        });
+      }
 
       // Agregar token a la request
       req.token = token;
 
       // Agregar headers para el microservicio
-      req.headers['x-user-id'] = req.user.id || req.user.userId;
-      req.headers['x-user-email'] = req.user.email;
-      req.headers['x-user-roles'] = JSON.stringify(req.user.roles || []);
+      req.headers['x-user-id'] = String(req.user.id || req.user.userId);
+      if (req.user.email) {
+        req.headers['x-user-email'] = req.user.email;
+      }
+      req.headers['x-user-roles'] = JSON.stringify(getUserRoles(req.user));
+      req.headers['x-user-permissions'] = JSON.stringify(req.user.permissions || []);
+      if (req.user.departamento) {
+        req.headers['x-user-departamento'] = req.user.departamento;
+      }
       req.headers['x-authenticated'] = 'true';
 
       next();
@@ -121,45 +148,122 @@ function authenticateToken(options = {}) {
   };
 }
 
-// Validar token con el servicio de autenticación
+// Validar token con el endpoint de introspección del servicio de autenticación (RFC 7662)
 async function validateTokenWithAuthService(token, authServiceUrl) {
-  try {
-    const response = await axios.post(
-      `${authServiceUrl}/validate-token`,
-      {},
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      }
-    );
-
-    return {
-      valid: response.status === 200,
-      user: response.data.user || null
-    };
-  } catch (error) {
-    if (error.response && error.response.status === 401) {
-      return { valid: false, user: null };
+  const response = await axios.post(
+    `${authServiceUrl}/api/auth/introspect`,
+    {
+      token,
+      token_type_hint: 'access_token'
+    },
+    {
+      auth: {
+        username: process.env.INTROSPECTION_CLIENT_ID || 'api-gateway',
+        password: process.env.INTROSPECTION_CLIENT_SECRET || ''
+      },
+      headers: tracer.inject({
+        'Content-Type': 'application/json',
+        ...(getRequestId() && { 'X-Request-ID': getRequestId() })
+      }),
+      timeout: 5000
     }
-    throw error;
+  );
+
+  const data = response.data || {};
+
+  if (!data.active || data.token_type !== 'access_token') {
+    return { valid: false, user: null };
   }
+
+  return {
+    valid: true,
+    user: {
+      userId: data.sub,
+      usuario: data.username,
+      email: data.email,
+      rol: data.rol,
+      departamento: data.departamento,
+      permissions: data.permissions || []
+    }
+  };
+}
+
+// Obtener los roles del usuario (los tokens del auth-service traen un único `rol`)
+function getUserRoles(user) {
+  if (Array.isArray(user.roles)) {
+    return user.roles;
+  }
+  return user.rol ? [user.rol] : [];
 }
 
 // Verificar si el usuario tiene los roles requeridos
 function hasRequiredRole(user, requiredRoles) {
-  if (!user.roles || !Array.isArray(user.roles)) {
-    return false;
-  }
+  const userRoles = getUserRoles(user);
 
   return requiredRoles.some(role => 
-    user.roles.includes(role) || 
-    user.roles.some(userRole => userRole.name === role)
+    userRoles.includes(role) || 
+    userRoles.some(userRole => userRole.name === role)
   );
 }
 
+// Verificar si el usuario tiene un permiso. Los tokens del auth-service traen
+// permissions: [{ name, scope }] (scope: own | department | all); "*" concede todos.
+function hasPermission(user, permission) {
+  const userPermissions = user.permissions || [];
+
+  return userPermissions.some(p =>
+    p === permission || p === '*' ||
+    (p && (p.name === permission || p.name === '*'))
+  );
+}
+
+// Ruta completa de la petición sin query string
+function getRequestPath(req) {
+  return (req.originalUrl || req.url).split('?')[0];
+}
+
+// Coincidencia exacta o por prefijo de segmento ('/a/login' cubre '/a/login/x' pero no '/a/login2')
+function isPathMatch(requestPath, paths) {
+  return paths.some(path => requestPath === path || requestPath.startsWith(`${path.replace(/\/$/, '')}/`));
+}
+
+// Headers de identidad que solo el gateway puede establecer
+const IDENTITY_HEADERS = [
+  'x-user-id',
+  'x-user-email',
+  'x-user-roles',
+  'x-user-permissions',
+  'x-user-departamento',
+  'x-authenticated'
+];
+
+// Eliminar headers de identidad enviados por el cliente para evitar suplantaciones
+function stripIdentityHeaders(req, res, next) {
+  IDENTITY_HEADERS.forEach(header => delete req.headers[header]);
+  next();
+}
+
+// Middleware de autenticación según la configuración `auth` de una ruta
+function createRouteAuth(route, globalAuth = {}) {
+  const auth = route.auth || {};
+  const mode = auth.mode || globalAuth.defaultMode || 'required';
+
+  if (mode === 'none') {
+    return stripIdentityHeaders;
+  }
+
+  const authenticate = authenticateToken({
+    required: mode === 'required',
+    roles: auth.roles || [],
+    permissions: auth.permissions || [],
+    skipPaths: [...(globalAuth.publicPaths || []), ...(auth.skipPaths || [])]
+  });
+
+  return (req, res, next) => {
+    stripIdentityHeaders(req, res, () => authenticate(req, res, next));
+  };
+}
+
 // Middleware para rutas que requieren roles específicos
 function requireRole(...roles) {
   return authenticateToken({ required: true, roles });
@@ -177,11 +281,7 @@ function requirePermission(permission) {
       return next(createError(401, 'Autenticación requerida'));
     }
 
-    const userPermissions = req.user.permissions || [];
-    const hasPermission = userPermissions.includes(permission) ||
-                         userPermissions.some(p => p.name === permission);
-
-    if (!hasPermission) {
+    if (!hasPermission(req.user, permission)) {
       return next(createError(403, `Permiso requerido: ${permission}`));
     }
 
@@ -226,5 +326,9 @@ module.exports = {
   requirePermission,
   clearTokenCache,
   getCacheStats,
-  validateTokenWithAuthService
+  validateTokenWithAuthService,
+  createRouteAuth,
+  stripIdentityHeaders,
+  getRequestPath,
+  isPathMatch
 };
\ No newline at end of file
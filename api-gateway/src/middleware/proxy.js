@@ -1,26 +1,76 @@
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { tracer, SpanKind, SpanStatusCode } = require('../utils/tracing');
+const { createError } = require('./errorHandler');
+
+// Métodos HTTP idempotentes: los únicos que se reintentan
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
 
 // Circuit breaker simple
 class CircuitBreaker {
   constructor(threshold = 5, timeout = 60000, resetTimeout = 30000) {
     this.threshold = threshold;
-    this.timeout = timeout;
-    this.resetTimeout = resetTimeout;
+    this.timeout = timeout; // Tiempo que el circuito permanece abierto
+    this.resetTimeout = resetTimeout; // Ventana tras la que se olvidan los fallos
     this.failureCount = 0;
     this.lastFailureTime = null;
+    this.openedAt = null;
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
+    this.forcedState = null; // Estado fijado manualmente desde la API de administración
+    this.probeStartedAt = null; // Petición de prueba en curso en HALF_OPEN
   }
 
-  async call(fn) {
+  // Indica si se puede enviar una petición; pasa a HALF_OPEN cuando vence el timeout.
+  // En HALF_OPEN solo pasa una petición de prueba; si no termina en `timeout` ms se permite otra.
+  canRequest() {
+    if (this.forcedState) {
+      return this.forcedState === 'CLOSED';
+    }
+
+    const now = Date.now();
+
+    if (this.state === 'CLOSED') {
+      return true;
+    }
+
     if (this.state === 'OPEN') {
-      if (Date.now() - this.lastFailureTime > this.resetTimeout) {
-        this.state = 'HALF_OPEN';
-        logger.info('Circuit breaker: Intentando cerrar circuito');
-      } else {
-        throw new Error('Circuit breaker está abierto');
+      if (now - this.openedAt < this.timeout) {
+        return false;
       }
+      this.state = 'HALF_OPEN';
+      logger.info('Circuit breaker: Intentando cerrar circuito');
+    } else if (this.probeStartedAt && now - this.probeStartedAt < this.timeout) {
+      return false;
+    }
+
+    this.probeStartedAt = now;
+    return true;
+  }
+
+  // Aplicar opciones nuevas (recarga de la tabla de rutas) conservando el estado y los fallos
+  configure({ threshold, timeout, resetTimeout } = {}) {
+    if (threshold !== undefined) this.threshold = threshold;
+    if (timeout !== undefined) this.timeout = timeout;
+    if (resetTimeout !== undefined) this.resetTimeout = resetTimeout;
+  }
+
+  // Segundos hasta que el circuito vuelva a dejar pasar peticiones
+  getRetryAfter() {
+    if (this.forcedState === 'OPEN') {
+      return Math.ceil(this.timeout / 1000);
+    }
+    if (this.state !== 'OPEN') {
+      return 0;
+    }
+    const remaining = this.openedAt + this.timeout - Date.now();
+    return Math.max(1, Math.ceil(remaining / 1000));
+  }
+
+  async call(fn) {
+    if (!this.canRequest()) {
+      throw new Error('Circuit breaker está abierto');
     }
 
     try {
@@ -34,28 +84,91 @@ class CircuitBreaker {
   }
 
   onSuccess() {
+    if (this.forcedState) return;
+
+    if (this.state === 'HALF_OPEN') {
+      logger.info('Circuit breaker cerrado tras petición exitosa');
+    }
     this.failureCount = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
     this.state = 'CLOSED';
   }
 
   onFailure() {
+    if (this.forcedState) return;
+
+    const now = Date.now();
+
+    // Fallos aislados fuera de la ventana de reset no se acumulan
+    if (this.lastFailureTime && now - this.lastFailureTime > this.resetTimeout) {
+      this.failureCount = 0;
+    }
+
     this.failureCount++;
-    this.lastFailureTime = Date.now();
-    
-    if (this.failureCount >= this.threshold) {
+    this.lastFailureTime = now;
+
+    if (this.state === 'HALF_OPEN' || this.failureCount >= this.threshold) {
       this.state = 'OPEN';
+      this.openedAt = now;
+      this.probeStartedAt = null;
       logger.warn(`Circuit breaker abierto después de ${this.failureCount} fallos`);
     }
   }
+
+  // Mantener el circuito abierto hasta que se cierre o resetee manualmente
+  forceOpen() {
+    this.forcedState = 'OPEN';
+    this.state = 'OPEN';
+    this.openedAt = Date.now();
+    this.probeStartedAt = null;
+  }
+
+  // Mantener el circuito cerrado ignorando los fallos hasta un reset manual
+  forceClose() {
+    this.forcedState = 'CLOSED';
+    this.state = 'CLOSED';
+    this.failureCount = 0;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+  }
+
+  // Volver al funcionamiento automático con los contadores a cero
+  reset() {
+    this.forcedState = null;
+    this.state = 'CLOSED';
+    this.failureCount = 0;
+    this.lastFailureTime = null;
+    this.openedAt = null;
+    this.probeStartedAt = null;
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      forcedState: this.forcedState,
+      failureCount: this.failureCount,
+      threshold: this.threshold,
+      timeout: this.timeout,
+      resetTimeout: this.resetTimeout,
+      lastFailureTime: this.lastFailureTime ? new Date(this.lastFailureTime).toISOString() : null,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfter: this.getRetryAfter()
+    };
+  }
 }
 
 // Almacenar circuit breakers por servicio
 const circuitBreakers = new Map();
 
-// Función para obtener o crear circuit breaker
-function getCircuitBreaker(target) {
+// Función para obtener o crear circuit breaker; uno existente adopta las opciones recibidas
+function getCircuitBreaker(target, options = {}) {
+  const { threshold, timeout, resetTimeout } = options;
+
   if (!circuitBreakers.has(target)) {
-    circuitBreakers.set(target, new CircuitBreaker());
+    circuitBreakers.set(target, new CircuitBreaker(threshold, timeout, resetTimeout));
+  } else {
+    circuitBreakers.get(target).configure({ threshold, timeout, resetTimeout });
   }
   return circuitBreakers.get(target);
 }
@@ -74,54 +187,58 @@ async function checkServiceHealth(target, healthPath = '/health') {
   }
 }
 
-// Middleware de retry con backoff exponencial
-function createRetryMiddleware(retries = 3, baseDelay = 1000) {
-  return async (proxyReq, proxyRes, req, res, next) => {
-    let attempt = 0;
-    
-    const executeWithRetry = async () => {
-      try {
-        return await next();
-      } catch (error) {
-        attempt++;
-        
-        if (attempt <= retries && isRetryableError(error)) {
-          const delay = baseDelay * Math.pow(2, attempt - 1);
-          logger.warn(`Reintentando petición ${req.method} ${req.originalUrl} (intento ${attempt}/${retries}) en ${delay}ms`);
-          
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return executeWithRetry();
-        }
-        
-        throw error;
-      }
-    };
-    
-    return executeWithRetry();
-  };
+// Retraso con backoff exponencial para el intento indicado (1, 2, 3...)
+function getRetryDelay(attempt, baseDelay = 1000) {
+  return baseDelay * Math.pow(2, attempt - 1);
 }
 
+// Errores de red en los que la petición no llegó al servicio. Un ECONNRESET o un timeout pueden
+// ocurrir con la petición ya enviada (y procesándose): reintentarla la repetiría.
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
 // Verificar si el error es reintentable
 function isRetryableError(error) {
-  if (!error.response) return true; // Error de red
-  
+  if (!error.response) return CONNECTION_ERROR_CODES.includes(error.code);
+
   const status = error.response.status;
   return status >= 500 || status === 408 || status === 429;
 }
 
+// Verificar si la petición puede reintentarse tras un error de proxy. Los reintentos
+// (esperas incluidas) no pueden superar en total el timeout de la ruta.
+function canRetry(req, res, error, retries, delay, timeout) {
+  return IDEMPOTENT_METHODS.includes(req.method) &&
+    req.proxyAttempt < retries &&
+    Date.now() - req.startTime + delay < timeout &&
+    !res.headersSent &&
+    !res.writableEnded &&
+    !req.aborted &&
+    isRetryableError(error);
+}
+
 // Crear middleware de proxy para una ruta específica
-function createProxyForRoute(routeConfig) {
-  const circuitBreaker = getCircuitBreaker(routeConfig.target);
-  
+function createProxyForRoute(routeConfig, globalConfig = {}) {
+  // Opciones globales del circuit breaker, con las de la ruta por encima
+  const breakerConfig = { ...globalConfig.circuitBreaker, ...routeConfig.circuitBreaker };
+  const circuitBreaker = breakerConfig.enabled === false
+    ? null
+    : getCircuitBreaker(routeConfig.target, breakerConfig);
+  const retries = routeConfig.retries || 0;
+  const baseDelay = (globalConfig.retry && globalConfig.retry.baseDelay) || 1000;
+  const timeout = routeConfig.timeout || 30000;
+
   const proxyOptions = {
     target: routeConfig.target,
     changeOrigin: routeConfig.changeOrigin || true,
     pathRewrite: routeConfig.pathRewrite || {},
-    timeout: routeConfig.timeout || 30000,
-    
+    timeout,
+    proxyTimeout: timeout,
+    // Los upgrades de WebSocket los enruta la tabla de rutas (ver middleware/routeTable.js)
+    ws: false,
+
     // Logging
     logLevel: process.env.LOG_LEVEL || 'info',
-    
+
     // Headers personalizados
     onProxyReq: (proxyReq, req, res) => {
       // Agregar headers de identificación
@@ -129,25 +246,91 @@ function createProxyForRoute(routeConfig) {
       proxyReq.setHeader('X-Forwarded-Proto', req.protocol);
       proxyReq.setHeader('X-Forwarded-Host', req.get('host'));
       proxyReq.setHeader('X-API-Gateway', 'true');
-      proxyReq.setHeader('X-Request-ID', req.id || generateRequestId());
-      
+      proxyReq.setHeader('X-Request-ID', req.id);
+
+      // Span CLIENT por intento contra el servicio; su contexto viaja en traceparent
+      req.proxySpan = tracer.startSpan(`proxy ${req.method} ${routeConfig.path}`, {
+        kind: SpanKind.CLIENT,
+        parent: req.span,
+        attributes: {
+          'http.method': req.method,
+          'http.url': `${routeConfig.target}${proxyReq.path}`,
+          'peer.service': routeConfig.target,
+          'gateway.attempt': req.proxyAttempt + 1
+        }
+      });
+      proxyReq.setHeader('traceparent', req.proxySpan.traceparent());
+
+      // Reenviar el body ya consumido por express.json (necesario también en reintentos).
+      // Se envían los bytes originales: volver a serializar el JSON invalidaría las firmas HMAC.
+      if (req.rawBody) {
+        proxyReq.setHeader('Content-Length', req.rawBody.length);
+        proxyReq.write(req.rawBody);
+      } else {
+        fixRequestBody(proxyReq, req);
+      }
+
       // Log de la petición
       logger.info(`Proxy: ${req.method} ${req.originalUrl} -> ${routeConfig.target}${proxyReq.path}`);
     },
-    
+
     // Manejo de respuestas
     onProxyRes: (proxyRes, req, res) => {
       // Agregar headers de respuesta
       proxyRes.headers['X-Served-By'] = 'API-Gateway';
       proxyRes.headers['X-Response-Time'] = Date.now() - req.startTime;
-      
+
+      metrics.recordUpstreamResponse(routeConfig.path, proxyRes.statusCode);
+
+      if (req.proxySpan) {
+        req.proxySpan.setAttribute('http.status_code', proxyRes.statusCode);
+        if (proxyRes.statusCode >= 500) {
+          req.proxySpan.setStatus(SpanStatusCode.ERROR, `HTTP ${proxyRes.statusCode}`);
+        }
+        req.proxySpan.end();
+      }
+
+      if (circuitBreaker) {
+        if (proxyRes.statusCode >= 500) {
+          circuitBreaker.onFailure();
+        } else {
+          circuitBreaker.onSuccess();
+        }
+      }
+
       logger.info(`Proxy Response: ${proxyRes.statusCode} para ${req.method} ${req.originalUrl}`);
     },
-    
+
     // Manejo de errores
     onError: (err, req, res) => {
-      logger.error(`Proxy Error: ${err.message} para ${req.method} ${req.originalUrl}`);
-      
+      metrics.recordUpstreamError(routeConfig.path);
+
+      if (req.proxySpan) {
+        req.proxySpan.recordException(err);
+        req.proxySpan.end();
+      }
+
+      // Reintentar errores de conexión en métodos idempotentes mientras el circuito lo permita
+      const delay = getRetryDelay(req.proxyAttempt + 1, baseDelay);
+      if (canRetry(req, res, err, retries, delay, timeout) && (!circuitBreaker || circuitBreaker.canRequest())) {
+        req.proxyAttempt++;
+        logger.warn(`Reintentando petición ${req.method} ${req.originalUrl} (intento ${req.proxyAttempt}/${retries}) en ${delay}ms`);
+        setTimeout(req.retryProxy, delay);
+        return;
+      }
+
+      if (circuitBreaker) {
+        circuitBreaker.onFailure();
+      }
+
+      logger.error(`Proxy Error: ${err.message} para ${req.method} ${req.originalUrl || req.url}`);
+
+      // En upgrades de WebSocket `res` es el socket del cliente
+      if (typeof res.status !== 'function') {
+        res.destroy();
+        return;
+      }
+
       if (!res.headersSent) {
         res.status(502).json({
           error: 'Error del gateway',
@@ -159,22 +342,73 @@ function createProxyForRoute(routeConfig) {
       }
     }
   };
-  
+
   const proxy = createProxyMiddleware(proxyOptions);
-  
-  // Simplified wrapper without circuit breaker (temporary)
-  return (req, res, next) => {
+
+  // http-proxy-middleware se suscribe al 'close' del servidor HTTP con su primera petición y no
+  // ofrece forma de deshacerlo: se localiza ese listener para retirarlo al cerrar el proxy, o las
+  // tablas de rutas reemplazadas quedarían retenidas por el servidor
+  let server = null;
+  let serverCloseListener = null;
+  let closed = false;
+
+  const removeServerCloseListener = () => {
+    if (serverCloseListener) {
+      server.removeListener('close', serverCloseListener);
+      serverCloseListener = null;
+    }
+  };
+
+  const runProxy = (req, res, next) => {
+    const requestServer = req.socket && req.socket.server;
+    if (server || !requestServer) {
+      return proxy(req, res, next);
+    }
+
+    server = requestServer;
+    const previousListeners = new Set(server.listeners('close'));
+    return proxy(req, res, next).then(() => {
+      serverCloseListener = server.listeners('close').find(listener => !previousListeners.has(listener)) || null;
+      if (closed) {
+        removeServerCloseListener();
+      }
+    });
+  };
+
+  const middleware = (req, res, next) => {
     req.startTime = Date.now();
-    req.id = req.id || generateRequestId();
-    
-    // Direct proxy without circuit breaker or health checks
-    proxy(req, res, next);
+
+    // Respuesta rápida si el circuito del servicio está abierto
+    if (circuitBreaker && !circuitBreaker.canRequest()) {
+      const retryAfter = circuitBreaker.getRetryAfter();
+      logger.warn(`Circuit breaker abierto para ${routeConfig.target}, rechazando ${req.method} ${req.originalUrl}`);
+      res.set('Retry-After', String(retryAfter));
+      return next(createError(503, 'Servicio no disponible temporalmente (circuit breaker abierto)', {
+        service: routeConfig.target,
+        retryAfter
+      }));
+    }
+
+    req.proxyAttempt = 0;
+    req.retryProxy = () => runProxy(req, res, next);
+    runProxy(req, res, next);
+  };
+
+  // Reenvío de upgrades de WebSocket para rutas con `ws: true`
+  middleware.upgrade = proxy.upgrade;
+
+  // Liberar el proxy cuando la tabla de rutas deja de usarlo (las peticiones en curso terminan igual)
+  middleware.close = () => {
+    closed = true;
+    removeServerCloseListener();
   };
-}
 
-// Generar ID único para la petición
-function generateRequestId() {
-  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  return middleware;
 }
 
-module.exports = createProxyForRoute;
\ No newline at end of file
+module.exports = createProxyForRoute;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.getCircuitBreaker = getCircuitBreaker;
+module.exports.circuitBreakers = circuitBreakers;
+module.exports.checkServiceHealth = checkServiceHealth;
+module.exports.isRetryableError = isRetryableError;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { createStore } = require('../utils/rateLimitStores');
+const { getRequestPath, isPathMatch } = require('./auth');
+const { createError } = require('./errorHandler');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Identificador del cliente según `keyBy`; sin usuario autenticado o sin API key se usa la IP
+function getClientKey(req, keyBy, apiKeyHeader) {
+  if (keyBy === 'user' && req.user) {
+    return `user:${req.user.id || req.user.userId}`;
+  }
+
+  if (keyBy === 'apiKey') {
+    const apiKey = req.get(apiKeyHeader);
+    if (apiKey) {
+      // No se guardan API keys en claro en el store
+      return `apikey:${crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 32)}`;
+    }
+  }
+
+  return `ip:${req.ip}`;
+}
+
+// Políticas de una ruta: `rateLimit` es un objeto, un array de objetos o false.
+// Sin `rateLimit` se aplica la política por defecto de globalConfig.rateLimit.
+function getRoutePolicies(route, globalRateLimit = {}) {
+  if (route.rateLimit === false) {
+    return [];
+  }
+  if (route.rateLimit === undefined) {
+    return globalRateLimit.default ? [{ name: 'default', ...globalRateLimit.default }] : [];
+  }
+  return [].concat(route.rateLimit);
+}
+
+// Limitador de express-rate-limit para una política de una ruta
+function createPolicyLimiter(route, policy, index, globalRateLimit) {
+  const name = `${route.path}:${policy.name || index}`;
+  const keyBy = policy.keyBy || 'ip';
+  const apiKeyHeader = globalRateLimit.apiKeyHeader || 'X-API-Key';
+  const methods = (policy.methods || []).map(method => method.toUpperCase());
+  const paths = policy.paths || [];
+
+  return rateLimit({
+    windowMs: policy.windowMs,
+    limit: policy.max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createStore(globalRateLimit.store, { prefix: `${name}:`, redisUrl: globalRateLimit.redisUrl }),
+    // Si el store no responde (p. ej. Redis caído) se deja pasar la petición
+    passOnStoreError: globalRateLimit.failOpen !== false,
+    keyGenerator: (req) => getClientKey(req, keyBy, apiKeyHeader),
+    skip: (req) => (methods.length > 0 && !methods.includes(req.method)) ||
+      (paths.length > 0 && !isPathMatch(getRequestPath(req), paths)),
+    handler: (req, res, next) => {
+      const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+
+      metrics.recordRateLimitRejection(name);
+      logger.warn(`Rate limit excedido (${name}) para ${getClientKey(req, keyBy, apiKeyHeader)}: ${req.method} ${req.originalUrl}`);
+
+      next(createError(429, policy.message || 'Demasiadas peticiones, intenta de nuevo más tarde', {
+        policy: name,
+        limit: policy.max,
+        windowMs: policy.windowMs,
+        retryAfter
+      }));
+    }
+  });
+}
+
+// Middleware con todas las políticas de rate limiting de una ruta (después de la autenticación)
+function createRouteRateLimit(route, globalRateLimit = {}) {
+  const limiters = getRoutePolicies(route, globalRateLimit)
+    .map((policy, index) => createPolicyLimiter(route, policy, index, globalRateLimit));
+
+  return (req, res, next) => {
+    const run = (index) => {
+      if (index >= limiters.length) {
+        return next();
+      }
+      limiters[index](req, res, (error) => (error ? next(error) : run(index + 1)));
+    };
+
+    run(0);
+  };
+}
+
+module.exports = {
+  createRouteRateLimit,
+  getClientKey
+};
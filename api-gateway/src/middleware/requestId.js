@@ -0,0 +1,12 @@
+const { resolveRequestId, runWithRequestId } = require('../utils/requestContext');
+
+// Aceptar o generar X-Request-ID, devolverlo en la respuesta y propagarlo a los logs y al upstream
+function requestId(req, res, next) {
+  req.id = resolveRequestId(req.headers['x-request-id']);
+  req.headers['x-request-id'] = req.id;
+  res.set('X-Request-ID', req.id);
+
+  runWithRequestId(req.id, next);
+}
+
+module.exports = requestId;
@@ -0,0 +1,200 @@
+const express = require('express');
+const routeConfig = require('../config/routes');
+const { diffRoutes, formatDiff } = require('../config/loader');
+const createProxyForRoute = require('./proxy');
+const { createRouteAuth } = require('./auth');
+const { createRouteRateLimit } = require('./rateLimit');
+const logger = require('../utils/logger');
+const { resolveRequestId, runWithRequestId } = require('../utils/requestContext');
+const metrics = require('../utils/metrics');
+
+// Campos de una ruta que determinan su proxy (auth y rateLimit se montan aparte)
+const PROXY_FIELDS = ['path', 'target', 'changeOrigin', 'pathRewrite', 'timeout', 'retries', 'circuitBreaker'];
+
+// Tabla de rutas activa. Se reconstruye completa en cada cambio y se intercambia de forma atómica:
+// las peticiones en curso conservan los middlewares con los que empezaron.
+class RouteTable {
+  constructor() {
+    this.router = express.Router();
+    this.upgradeHandlers = [];
+    this.version = 0;
+    this.loadedAt = null;
+    this.stats = new Map(); // Estadísticas por path, se conservan entre recargas
+    this.proxies = new Map(); // Proxy vigente por path: { signature, proxy }
+  }
+
+  // Middleware que registra peticiones, errores y latencia de una ruta (también en /metrics)
+  trackStats(path) {
+    return (req, res, next) => {
+      const startTime = Date.now();
+
+      if (req.span) {
+        req.span.updateName(`${req.method} ${path}`).setAttribute('http.route', path);
+      }
+
+      res.on('finish', () => {
+        const responseTime = Date.now() - startTime;
+        const stats = this.stats.get(path) || {
+          requests: 0,
+          errors: 0,
+          totalResponseTime: 0,
+          lastRequestAt: null,
+          lastStatusCode: null
+        };
+
+        stats.requests++;
+        stats.totalResponseTime += responseTime;
+        stats.lastRequestAt = new Date().toISOString();
+        stats.lastStatusCode = res.statusCode;
+        if (res.statusCode >= 500) {
+          stats.errors++;
+        }
+
+        this.stats.set(path, stats);
+        metrics.recordRequest(path, req.method, res.statusCode, responseTime);
+      });
+
+      next();
+    };
+  }
+
+  // Estadísticas de una ruta con latencia media calculada
+  getStats(path) {
+    const stats = this.stats.get(path);
+
+    if (!stats) {
+      return { requests: 0, errors: 0, averageResponseTime: null, lastRequestAt: null, lastStatusCode: null };
+    }
+
+    return {
+      requests: stats.requests,
+      errors: stats.errors,
+      averageResponseTime: Math.round(stats.totalResponseTime / stats.requests),
+      lastRequestAt: stats.lastRequestAt,
+      lastStatusCode: stats.lastStatusCode
+    };
+  }
+
+  // Proxy para una ruta: se reutiliza el de la tabla anterior si su configuración no ha cambiado
+  // (conserva sus conexiones y no deja proxies huérfanos en cada recarga)
+  getProxy(route, proxies) {
+    const signature = JSON.stringify(PROXY_FIELDS.map(field => route[field]));
+    const current = this.proxies.get(route.path);
+    const proxy = current && current.signature === signature
+      ? current.proxy
+      : createProxyForRoute(route, routeConfig.globalConfig);
+
+    proxies.set(route.path, { signature, proxy });
+    return proxy;
+  }
+
+  // Construir router y manejadores de WebSocket para un conjunto de rutas
+  build(routes) {
+    const router = express.Router();
+    const upgradeHandlers = [];
+    const proxies = new Map();
+
+    routes.filter(route => route.enabled !== false).forEach(route => {
+      const proxy = this.getProxy(route, proxies);
+
+      router.use(
+        route.path,
+        this.trackStats(route.path),
+        createRouteAuth(route, routeConfig.globalConfig.auth),
+        createRouteRateLimit(route, routeConfig.globalConfig.rateLimit),
+        proxy
+      );
+
+      if (route.ws) {
+        upgradeHandlers.push({ path: route.path, upgrade: proxy.upgrade });
+      }
+    });
+
+    return { router, upgradeHandlers, proxies };
+  }
+
+  // Validar y aplicar una nueva tabla; si no es válida se conserva la anterior
+  update(routes, reason = 'manual') {
+    const errors = routeConfig.validateConfig(routes);
+    const diff = diffRoutes(routeConfig.routes, Array.isArray(routes) ? routes : []);
+
+    if (errors.length > 0) {
+      logger.error(`Configuración de rutas rechazada (${reason}), se mantiene la tabla anterior. Errores: ${errors.join('; ')}. Cambios descartados: ${formatDiff(diff)}`, {
+        errors,
+        diff
+      });
+      return { applied: false, errors, diff };
+    }
+
+    const { router, upgradeHandlers, proxies } = this.build(routes);
+
+    // Cerrar los proxies que la nueva tabla ya no usa
+    this.proxies.forEach(({ proxy }, path) => {
+      if (!proxies.has(path) || proxies.get(path).proxy !== proxy) {
+        proxy.close();
+      }
+    });
+
+    this.router = router;
+    this.upgradeHandlers = upgradeHandlers;
+    this.proxies = proxies;
+    this.version++;
+    this.loadedAt = new Date().toISOString();
+    routeConfig.routes = routes;
+
+    logger.info(`Tabla de rutas aplicada (${reason}), versión ${this.version}: ${formatDiff(diff)}`, { diff });
+
+    return { applied: true, errors: [], diff };
+  }
+
+  // Buscar una ruta de la tabla activa por su path
+  findRoute(path) {
+    return routeConfig.routes.find(route => route.path === path);
+  }
+
+  // Añadir una ruta o reemplazar la existente con el mismo path
+  upsertRoute(route, reason = 'manual') {
+    const exists = !!this.findRoute(route.path);
+    const routes = exists
+      ? routeConfig.routes.map(current => (current.path === route.path ? route : current))
+      : [...routeConfig.routes, route];
+
+    return this.update(routes, reason);
+  }
+
+  // Habilitar o deshabilitar una ruta sin eliminarla de la tabla
+  setRouteEnabled(path, enabled, reason = 'manual') {
+    const routes = routeConfig.routes.map(route => (route.path === path ? { ...route, enabled } : route));
+    return this.update(routes, reason);
+  }
+
+  // Middleware de Express que delega en el router vigente
+  middleware() {
+    return (req, res, next) => this.router(req, res, next);
+  }
+
+  // Manejador del evento 'upgrade' del servidor HTTP
+  handleUpgrade(req, socket, head) {
+    // Los upgrades no pasan por Express: asignar aquí el X-Request-ID que se reenvía al servicio
+    req.id = resolveRequestId(req.headers['x-request-id']);
+    req.headers['x-request-id'] = req.id;
+
+    const requestPath = req.url.split('?')[0];
+    const handler = this.upgradeHandlers.find(({ path }) =>
+      requestPath === path || requestPath.startsWith(`${path.replace(/\/$/, '')}/`)
+    );
+
+    if (!handler) {
+      logger.warn(`Upgrade de WebSocket sin ruta: ${requestPath}`, { requestId: req.id });
+      socket.destroy();
+      return;
+    }
+
+    runWithRequestId(req.id, () => handler.upgrade(req, socket, head));
+  }
+}
+
+// Crear instancia singleton
+const routeTable = new RouteTable();
+
+module.exports = routeTable;
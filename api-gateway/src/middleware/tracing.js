@@ -0,0 +1,37 @@
+const { tracer, SpanKind, SpanStatusCode, extractContext } = require('../utils/tracing');
+
+// Span SERVER por petición, continuando la traza del cliente si envía traceparent.
+// El nombre se completa con la ruta de la tabla en routeTable.trackStats.
+function traceRequest(req, res, next) {
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    parent: extractContext(req.headers),
+    attributes: {
+      'http.method': req.method,
+      'http.target': req.originalUrl,
+      'http.scheme': req.protocol,
+      'net.peer.ip': req.ip,
+      'user_agent.original': req.get('User-Agent'),
+      'request.id': req.id
+    }
+  });
+
+  const endSpan = () => {
+    span.setAttribute('http.status_code', res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus(SpanStatusCode.ERROR, `HTTP ${res.statusCode}`);
+    }
+    if (!res.writableFinished) {
+      span.addEvent('request.aborted');
+    }
+    span.end();
+  };
+
+  res.once('finish', endSpan);
+  res.once('close', endSpan);
+
+  req.span = span;
+  tracer.runWithSpan(span, next);
+}
+
+module.exports = traceRequest;
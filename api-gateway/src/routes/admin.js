@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const routeConfig = require('../config/routes');
+const routeTable = require('../middleware/routeTable');
+const { circuitBreakers } = require('../middleware/proxy');
+const { requireRole, getCacheStats, clearTokenCache } = require('../middleware/auth');
+const { createError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Toda la API de administración requiere rol de administrador
+router.use(requireRole('administrador'));
+
+// Registrar en auditoría una mutación hecha desde la API de administración
+function audit(req, action, details = {}) {
+  logger.info(`Admin audit: ${action}`, {
+    audit: true,
+    action,
+    adminId: req.user.userId || req.user.id,
+    admin: req.user.usuario || req.user.email,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    requestId: req.id,
+    ...details
+  });
+}
+
+// Respuesta para una actualización de la tabla de rutas
+function sendUpdateResult(req, res, result, route, statusCode = 200) {
+  if (!result.applied) {
+    return res.status(400).json({
+      error: 'Configuración de ruta inválida',
+      errors: result.errors,
+      requestId: req.id
+    });
+  }
+
+  res.status(statusCode).json({
+    message: 'Tabla de rutas actualizada',
+    version: routeTable.version,
+    diff: result.diff,
+    route
+  });
+}
+
+// Ruta con su estado de ejecución
+function describeRoute(route) {
+  const breaker = circuitBreakers.get(route.target);
+
+  return {
+    ...route,
+    enabled: route.enabled !== false,
+    stats: routeTable.getStats(route.path),
+    circuitBreaker: breaker ? breaker.getStats() : null
+  };
+}
+
+// GET /admin/routes - Rutas activas con estadísticas en vivo
+router.get('/routes', (req, res) => {
+  res.json({
+    version: routeTable.version,
+    loadedAt: routeTable.loadedAt,
+    source: process.env.ROUTES_CONFIG_FILE || 'src/config/routes.js',
+    routes: routeConfig.routes.map(describeRoute)
+  });
+});
+
+// POST /admin/routes - Añadir una ruta
+router.post('/routes', (req, res, next) => {
+  const route = req.body;
+
+  if (!route || !route.path) {
+    return next(createError(400, "La ruta debe incluir 'path'"));
+  }
+  if (routeTable.findRoute(route.path)) {
+    return next(createError(409, `Ya existe una ruta con path ${route.path}`));
+  }
+
+  const result = routeTable.upsertRoute(route, 'admin: alta de ruta');
+  audit(req, 'route.create', { path: route.path, target: route.target, applied: result.applied });
+
+  sendUpdateResult(req, res, result, route, 201);
+});
+
+// PUT /admin/routes/:path - Actualizar una ruta (path codificado con encodeURIComponent)
+router.put('/routes/:path', (req, res, next) => {
+  const existing = routeTable.findRoute(req.params.path);
+
+  if (!existing) {
+    return next(createError(404, `Ruta no encontrada: ${req.params.path}`));
+  }
+
+  const route = { ...existing, ...req.body, path: existing.path };
+  const result = routeTable.upsertRoute(route, 'admin: actualización de ruta');
+  audit(req, 'route.update', { path: route.path, changes: req.body, applied: result.applied });
+
+  sendUpdateResult(req, res, result, route);
+});
+
+// POST /admin/routes/:path/disable - Deshabilitar una ruta
+// POST /admin/routes/:path/enable - Volver a habilitarla
+router.post('/routes/:path/:action(enable|disable)', (req, res, next) => {
+  const existing = routeTable.findRoute(req.params.path);
+
+  if (!existing) {
+    return next(createError(404, `Ruta no encontrada: ${req.params.path}`));
+  }
+
+  const enabled = req.params.action === 'enable';
+  const result = routeTable.setRouteEnabled(existing.path, enabled, `admin: ruta ${enabled ? 'habilitada' : 'deshabilitada'}`);
+  audit(req, `route.${req.params.action}`, { path: existing.path, applied: result.applied });
+
+  sendUpdateResult(req, res, result, routeTable.findRoute(existing.path));
+});
+
+// GET /admin/breakers - Estado de todos los circuit breakers
+router.get('/breakers', (req, res) => {
+  res.json({
+    breakers: Array.from(circuitBreakers.entries()).map(([target, breaker]) => ({
+      target,
+      ...breaker.getStats()
+    }))
+  });
+});
+
+// GET /admin/breakers/:target - Estado del circuit breaker de un destino (URL codificada)
+router.get('/breakers/:target', (req, res, next) => {
+  const breaker = circuitBreakers.get(req.params.target);
+
+  if (!breaker) {
+    return next(createError(404, `Circuit breaker no encontrado: ${req.params.target}`));
+  }
+
+  res.json({ target: req.params.target, ...breaker.getStats() });
+});
+
+// POST /admin/breakers/:target/open|close|reset - Forzar el estado de un circuit breaker
+router.post('/breakers/:target/:action(open|close|reset)', (req, res, next) => {
+  const breaker = circuitBreakers.get(req.params.target);
+
+  if (!breaker) {
+    return next(createError(404, `Circuit breaker no encontrado: ${req.params.target}`));
+  }
+
+  const actions = {
+    open: () => breaker.forceOpen(),
+    close: () => breaker.forceClose(),
+    reset: () => breaker.reset()
+  };
+
+  actions[req.params.action]();
+  audit(req, `breaker.${req.params.action}`, { target: req.params.target });
+
+  res.json({
+    message: `Circuit breaker actualizado (${req.params.action})`,
+    target: req.params.target,
+    ...breaker.getStats()
+  });
+});
+
+// GET /admin/token-cache - Estadísticas del cache de tokens
+router.get('/token-cache', (req, res) => {
+  res.json(getCacheStats());
+});
+
+// DELETE /admin/token-cache - Vaciar el cache de tokens
+router.delete('/token-cache', (req, res) => {
+  const { size } = getCacheStats();
+
+  clearTokenCache();
+  audit(req, 'token-cache.flush', { entriesRemoved: size });
+
+  res.json({
+    message: 'Cache de tokens vaciado',
+    entriesRemoved: size
+  });
+});
+
+module.exports = router;
@@ -75,6 +75,7 @@ router.get('/', async (req, res) => {
       status: 'unhealthy',
       timestamp: new Date().toISOString(),
       error: 'Error interno en health check',
+      requestId: req.id,
       gateway: {
         status: 'error',
         responseTime: Date.now() - startTime
@@ -181,6 +182,7 @@ router.get('/detailed', async (req, res) => {
       status: 'unhealthy',
       timestamp: new Date().toISOString(),
       error: 'Error interno en health check detallado',
+      requestId: req.id,
       gateway: {
         status: 'error',
         responseTime: Date.now() - startTime
@@ -200,6 +202,7 @@ router.get('/service/:serviceName', async (req, res) => {
     return res.status(404).json({
       error: 'Servicio no encontrado',
       serviceName,
+      requestId: req.id,
       availableServices: routeConfig.routes.map(r => r.description || r.path)
     });
   }
@@ -213,7 +216,8 @@ router.get('/service/:serviceName', async (req, res) => {
       url: route.target,
       status: 'down',
       error: error.message,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      requestId: req.id
     });
   }
 });
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { register } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+// Métricas en formato de texto de Prometheus
+router.get('/', async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    logger.error('Error generando métricas', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Error generando métricas',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+// Verificación de access tokens con las claves públicas del auth-service (JWKS), sin secretos compartidos
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// Error cuando no se puede obtener el JWKS y no hay claves en cache para el kid del token
+class JwksUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwksUnavailableError';
+  }
+}
+
+class JwksClient {
+  constructor({ url, cacheTtl = 10 * 60 * 1000, minRefreshInterval = 30 * 1000, timeout = 5000 }) {
+    this.url = url;
+    this.cacheTtl = cacheTtl;
+    // Un token con kid desconocido fuerza una recarga, como mucho una vez por intervalo
+    this.minRefreshInterval = minRefreshInterval;
+    this.timeout = timeout;
+    this.keys = new Map(); // kid -> { key: KeyObject, alg }
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  isStale() {
+    return Date.now() - this.fetchedAt > this.cacheTtl;
+  }
+
+  // Descargar el JWKS (las peticiones simultáneas comparten la misma descarga)
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.fetchKeys().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async fetchKeys() {
+    const response = await axios.get(this.url, { timeout: this.timeout });
+    const jwks = response.data || {};
+    const keys = new Map();
+
+    for (const jwk of jwks.keys || []) {
+      if (!jwk.kid || (jwk.use && jwk.use !== 'sig') || !SUPPORTED_ALGORITHMS.includes(jwk.alg)) {
+        continue;
+      }
+      try {
+        keys.set(jwk.kid, { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg: jwk.alg });
+      } catch (error) {
+        logger.warn(`Clave JWKS ${jwk.kid} ignorada: ${error.message}`);
+      }
+    }
+
+    this.keys = keys;
+    this.fetchedAt = Date.now();
+    logger.info(`JWKS actualizado desde ${this.url}: ${keys.size} claves`);
+  }
+
+  // Clave pública para un kid; recarga el JWKS si está caducado o si el kid es nuevo (rotación)
+  async getKey(kid) {
+    const canRefresh = Date.now() - this.fetchedAt > this.minRefreshInterval;
+
+    if (this.isStale() || (!this.keys.has(kid) && canRefresh)) {
+      try {
+        await this.refresh();
+      } catch (error) {
+        logger.warn(`No se pudo obtener el JWKS de ${this.url}: ${error.message}`);
+        // Con claves en cache se sigue verificando aunque el auth-service no responda
+        if (!this.keys.has(kid)) {
+          throw new JwksUnavailableError('No se pudieron obtener las claves de verificación de tokens');
+        }
+      }
+    }
+
+    return this.keys.get(kid) || null;
+  }
+}
+
+// Cliente configurado por entorno (JWKS_URL o el endpoint estándar del auth-service)
+const jwksClient = new JwksClient({
+  url: process.env.JWKS_URL ||
+    `${process.env.AUTH_SERVICE_URL || 'http://auth-service:3001'}/.well-known/jwks.json`,
+  cacheTtl: parseInt(process.env.JWKS_CACHE_TTL) || 10 * 60 * 1000
+});
+
+// Verificar un access token por su kid. Los errores de firma o caducidad son los de jsonwebtoken.
+async function verifyAccessToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new jwt.JsonWebTokenError('Token sin kid');
+  }
+
+  const signingKey = await jwksClient.getKey(decoded.header.kid);
+  if (!signingKey) {
+    throw new jwt.JsonWebTokenError(`kid desconocido: ${decoded.header.kid}`);
+  }
+
+  return jwt.verify(token, signingKey.key, { algorithms: [signingKey.alg] });
+}
+
+module.exports = {
+  jwksClient,
+  JwksClient,
+  JwksUnavailableError,
+  verifyAccessToken
+};
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { getRequestId } = require('./requestContext');
 
 // Niveles de log
 const LOG_LEVELS = {
@@ -38,11 +39,13 @@ class Logger {
 
   formatMessage(level, message, meta = {}) {
     const timestamp = new Date().toISOString();
+    const requestId = meta.requestId || getRequestId();
     const logEntry = {
       timestamp,
       level,
       message: typeof message === 'string' ? message : JSON.stringify(message),
       ...meta,
+      ...(requestId && { requestId }),
       pid: process.pid,
       hostname: require('os').hostname()
     };
@@ -69,7 +72,8 @@ class Logger {
     const color = COLORS[level] || COLORS.RESET;
     const resetColor = COLORS.RESET;
     
-    const consoleMessage = `${color}[${logEntry.timestamp}] ${level}: ${logEntry.message}${resetColor}`;
+    const requestTag = logEntry.requestId ? ` [${logEntry.requestId}]` : '';
+    const consoleMessage = `${color}[${logEntry.timestamp}] ${level}${requestTag}: ${logEntry.message}${resetColor}`;
     
     if (level === 'ERROR') {
       console.error(consoleMessage);
@@ -88,6 +92,7 @@ class Logger {
       delete meta.timestamp;
       delete meta.level;
       delete meta.message;
+      delete meta.requestId;
       delete meta.pid;
       delete meta.hostname;
       
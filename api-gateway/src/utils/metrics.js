@@ -0,0 +1,167 @@
+const client = require('prom-client');
+
+// Registro propio del gateway (evita mezclar métricas con el registro global de prom-client)
+const register = new client.Registry();
+
+register.setDefaultLabels({ service: 'api-gateway' });
+
+// Métricas por defecto del proceso Node.js (event loop, GC, handles...)
+client.collectDefaultMetrics({ register, prefix: 'gateway_nodejs_' });
+
+// Estado del circuit breaker como número: 0 = CLOSED, 1 = HALF_OPEN, 2 = OPEN
+const BREAKER_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+// Las etiquetas `route` usan el path configurado en la tabla de rutas, nunca la URL de la petición
+const httpRequestsTotal = new client.Counter({
+  name: 'gateway_http_requests_total',
+  help: 'Peticiones atendidas por ruta del gateway',
+  labelNames: ['route', 'method', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'gateway_http_request_duration_seconds',
+  help: 'Latencia de las peticiones por ruta del gateway',
+  labelNames: ['route', 'method'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const upstreamResponsesTotal = new client.Counter({
+  name: 'gateway_upstream_responses_total',
+  help: 'Respuestas recibidas de los microservicios por código de estado',
+  labelNames: ['route', 'status_code'],
+  registers: [register]
+});
+
+const upstreamErrorsTotal = new client.Counter({
+  name: 'gateway_upstream_errors_total',
+  help: 'Errores de red o timeouts al contactar con los microservicios',
+  labelNames: ['route'],
+  registers: [register]
+});
+
+const tokenCacheHitsTotal = new client.Counter({
+  name: 'gateway_token_cache_hits_total',
+  help: 'Tokens resueltos desde el cache de autenticación',
+  registers: [register]
+});
+
+const tokenCacheMissesTotal = new client.Counter({
+  name: 'gateway_token_cache_misses_total',
+  help: 'Tokens no encontrados en el cache de autenticación',
+  registers: [register]
+});
+
+const rateLimitRejectionsTotal = new client.Counter({
+  name: 'gateway_rate_limit_rejections_total',
+  help: 'Peticiones rechazadas por rate limiting',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+// Gauges calculados en cada scrape
+new client.Gauge({
+  name: 'gateway_circuit_breaker_state',
+  help: 'Estado del circuit breaker por servicio destino (0 = cerrado, 1 = semiabierto, 2 = abierto)',
+  labelNames: ['target'],
+  registers: [register],
+  collect() {
+    // Requerido aquí para evitar una dependencia circular con middleware/proxy
+    const { circuitBreakers } = require('../middleware/proxy');
+    this.reset();
+    circuitBreakers.forEach((breaker, target) => {
+      this.set({ target }, BREAKER_STATES[breaker.state]);
+    });
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_circuit_breaker_failures',
+  help: 'Fallos acumulados por circuit breaker',
+  labelNames: ['target'],
+  registers: [register],
+  collect() {
+    const { circuitBreakers } = require('../middleware/proxy');
+    this.reset();
+    circuitBreakers.forEach((breaker, target) => {
+      this.set({ target }, breaker.failureCount);
+    });
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_token_cache_size',
+  help: 'Entradas en el cache de tokens',
+  registers: [register],
+  collect() {
+    const { getCacheStats } = require('../middleware/auth');
+    this.set(getCacheStats().size);
+  }
+});
+
+// Mismos valores que `gateway.memory` y `gateway.cpu` de /health
+new client.Gauge({
+  name: 'gateway_memory_bytes',
+  help: 'Memoria del proceso del gateway',
+  labelNames: ['type'],
+  registers: [register],
+  collect() {
+    const usage = process.memoryUsage();
+    this.set({ type: 'heap_used' }, usage.heapUsed);
+    this.set({ type: 'heap_total' }, usage.heapTotal);
+    this.set({ type: 'rss' }, usage.rss);
+    this.set({ type: 'external' }, usage.external);
+  }
+});
+
+new client.Gauge({
+  name: 'gateway_cpu_usage_microseconds',
+  help: 'Tiempo de CPU consumido por el gateway',
+  labelNames: ['mode'],
+  registers: [register],
+  collect() {
+    const usage = process.cpuUsage();
+    this.set({ mode: 'user' }, usage.user);
+    this.set({ mode: 'system' }, usage.system);
+  }
+});
+
+// Registrar una petición atendida por una ruta del gateway
+function recordRequest(route, method, statusCode, durationMs) {
+  httpRequestsTotal.inc({ route, method, status_code: statusCode });
+  httpRequestDuration.observe({ route, method }, durationMs / 1000);
+}
+
+// Registrar la respuesta de un microservicio
+function recordUpstreamResponse(route, statusCode) {
+  upstreamResponsesTotal.inc({ route, status_code: statusCode });
+}
+
+// Registrar un error de red o timeout hacia un microservicio
+function recordUpstreamError(route) {
+  upstreamErrorsTotal.inc({ route });
+}
+
+// Registrar acierto o fallo del cache de tokens
+function recordTokenCache(hit) {
+  if (hit) {
+    tokenCacheHitsTotal.inc();
+  } else {
+    tokenCacheMissesTotal.inc();
+  }
+}
+
+// Registrar una petición rechazada por rate limiting
+function recordRateLimitRejection(limiter) {
+  rateLimitRejectionsTotal.inc({ limiter });
+}
+
+module.exports = {
+  register,
+  recordRequest,
+  recordUpstreamResponse,
+  recordUpstreamError,
+  recordTokenCache,
+  recordRateLimitRejection
+};
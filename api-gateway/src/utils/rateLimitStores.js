@@ -0,0 +1,149 @@
+const logger = require('./logger');
+
+// Stores de contadores para express-rate-limit (ventana fija). Interfaz:
+//   init(options)      -> recibe { windowMs } del limitador
+//   increment(key)     -> Promise<{ totalHits, resetTime }>
+//   decrement(key)     -> Promise<void>
+//   resetKey(key)      -> Promise<void>
+// express-rate-limit exige una instancia por limitador, así que cada store es una vista con
+// prefijo propio sobre un backend compartido: los contadores sobreviven a las recargas de la tabla.
+
+// Backend en memoria del proceso (solo válido con una réplica del gateway)
+const memoryCounters = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memoryCounters.entries()) {
+    if (entry.resetTime <= now) {
+      memoryCounters.delete(key);
+    }
+  }
+}, 60 * 1000).unref();
+
+class MemoryStore {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    const fullKey = this.prefix + key;
+    let entry = memoryCounters.get(fullKey);
+
+    if (!entry || entry.resetTime <= now) {
+      entry = { hits: 0, resetTime: now + this.windowMs };
+      memoryCounters.set(fullKey, entry);
+    }
+
+    entry.hits++;
+    return { totalHits: entry.hits, resetTime: new Date(entry.resetTime) };
+  }
+
+  async decrement(key) {
+    const entry = memoryCounters.get(this.prefix + key);
+    if (entry && entry.hits > 0) {
+      entry.hits--;
+    }
+  }
+
+  async resetKey(key) {
+    memoryCounters.delete(this.prefix + key);
+  }
+}
+
+// Incremento atómico con expiración en la primera petición de la ventana
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+// Cliente Redis compartido por todos los stores (creado al usarse por primera vez)
+let redisClient = null;
+
+function getRedisClient(url) {
+  if (!redisClient) {
+    const Redis = require('ioredis');
+    redisClient = new Redis(url, {
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+    // Avisar una vez por caída (ioredis reintenta la conexión continuamente)
+    let connected = true;
+    redisClient.on('error', (error) => {
+      if (connected) {
+        logger.warn(`Error de conexión con Redis para rate limiting: ${error.message}`);
+        connected = false;
+      }
+    });
+    redisClient.on('ready', () => {
+      if (!connected) {
+        logger.info('Conexión con Redis para rate limiting restablecida');
+        connected = true;
+      }
+    });
+  }
+  return redisClient;
+}
+
+// Backend Redis: contadores compartidos entre réplicas del gateway
+class RedisStore {
+  constructor({ prefix = '', client }) {
+    this.prefix = `gateway:ratelimit:${prefix}`;
+    this.client = client;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const [hits, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, this.windowMs);
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+// Crear un store del tipo configurado (globalConfig.rateLimit.store: memory | redis)
+function createStore(type, { prefix, redisUrl } = {}) {
+  switch (type || 'memory') {
+    case 'memory':
+      return new MemoryStore({ prefix });
+    case 'redis':
+      return new RedisStore({ prefix, client: getRedisClient(redisUrl) });
+    default:
+      throw new Error(`Store de rate limiting desconocido: ${type}`);
+  }
+}
+
+// Cerrar la conexión con Redis (cierre del gateway)
+async function closeStores() {
+  if (redisClient) {
+    await redisClient.quit();
+    redisClient = null;
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createStore,
+  closeStores
+};
@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Contexto por petición (request ID) disponible en todo el flujo asíncrono de la petición
+const storage = new AsyncLocalStorage();
+
+// IDs aceptados desde el cliente: evitan inyección en logs y headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Reutilizar un X-Request-ID válido o generar uno nuevo
+function resolveRequestId(incoming) {
+  const value = Array.isArray(incoming) ? incoming[0] : incoming;
+  return value && REQUEST_ID_PATTERN.test(value) ? value : crypto.randomUUID();
+}
+
+// Ejecutar fn dentro del contexto de una petición
+function runWithRequestId(requestId, fn) {
+  return storage.run({ requestId }, fn);
+}
+
+// Request ID de la petición en curso (undefined fuera de una petición)
+function getRequestId() {
+  const context = storage.getStore();
+  return context && context.requestId;
+}
+
+module.exports = {
+  resolveRequestId,
+  runWithRequestId,
+  getRequestId
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+
+// Exportadores de spans. Interfaz común:
+//   export(spans) -> Promise  (spans terminados, en lote)
+//   shutdown()    -> Promise
+
+const SPAN_KIND_NAMES = { 1: 'INTERNAL', 2: 'SERVER', 3: 'CLIENT' };
+const STATUS_NAMES = { 0: 'UNSET', 1: 'OK', 2: 'ERROR' };
+
+// Valor de atributo en formato OTLP/JSON
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+function toKeyValues(attributes = {}) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+// Exportador OTLP/HTTP (JSON) hacia un collector de OpenTelemetry
+class OTLPHttpExporter {
+  constructor({ url, headers = {}, timeout = 10000, resource = {} }) {
+    this.url = url;
+    this.headers = headers;
+    this.timeout = timeout;
+    this.resource = resource;
+  }
+
+  // Cuerpo ExportTraceServiceRequest de OTLP
+  buildPayload(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toKeyValues(this.resource) },
+        scopeSpans: [{
+          scope: { name: this.resource['service.name'] || 'unknown', version: this.resource['service.version'] },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId || undefined,
+            name: span.name,
+            kind: span.kind,
+            startTimeUnixNano: String(span.startTime),
+            endTimeUnixNano: String(span.endTime),
+            attributes: toKeyValues(span.attributes),
+            events: span.events.map(event => ({
+              name: event.name,
+              timeUnixNano: String(event.time),
+              attributes: toKeyValues(event.attributes)
+            })),
+            status: { code: span.status.code, message: span.status.message }
+          }))
+        }]
+      }]
+    };
+  }
+
+  async export(spans) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(this.buildPayload(spans)),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`El collector OTLP respondió ${response.status}`);
+    }
+  }
+
+  async shutdown() {}
+}
+
+// Exportador a fichero JSON-lines (un span por línea) para depuración sin collector
+class FileExporter {
+  constructor({ filePath, resource = {} }) {
+    this.filePath = filePath;
+    this.resource = resource;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  toLine(span) {
+    return JSON.stringify({
+      service: this.resource['service.name'],
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId,
+      name: span.name,
+      kind: SPAN_KIND_NAMES[span.kind],
+      startTime: new Date(Number(span.startTime / 1000000n)).toISOString(),
+      durationMs: Number(span.endTime - span.startTime) / 1e6,
+      status: STATUS_NAMES[span.status.code],
+      statusMessage: span.status.message,
+      attributes: span.attributes,
+      events: span.events.map(event => ({ name: event.name, attributes: event.attributes }))
+    });
+  }
+
+  async export(spans) {
+    await fs.promises.appendFile(this.filePath, spans.map(span => this.toLine(span) + '\n').join(''));
+  }
+
+  async shutdown() {}
+}
+
+// Parsear cabeceras "clave=valor,clave2=valor2" (formato de OTEL_EXPORTER_OTLP_HEADERS)
+function parseHeaders(value = '') {
+  return Object.fromEntries(
+    value.split(',')
+      .map(pair => pair.split('='))
+      .filter(([key, val]) => key && val !== undefined)
+      .map(([key, ...rest]) => [key.trim(), rest.join('=').trim()])
+  );
+}
+
+// Crear el exportador configurado por entorno (TRACING_EXPORTER=otlp|file|none)
+function createExporter(type, { resource }) {
+  switch (type) {
+    case 'otlp': {
+      const endpoint = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '');
+      return new OTLPHttpExporter({
+        url: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || `${endpoint}/v1/traces`,
+        headers: parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+        resource
+      });
+    }
+    case 'file':
+      return new FileExporter({
+        filePath: process.env.TRACING_FILE || path.join(process.cwd(), 'logs', 'traces.jsonl'),
+        resource
+      });
+    case 'none':
+    case undefined:
+    case '':
+      return null;
+    default:
+      throw new Error(`Exportador de trazas desconocido: ${type}`);
+  }
+}
+
+module.exports = {
+  OTLPHttpExporter,
+  FileExporter,
+  createExporter
+};
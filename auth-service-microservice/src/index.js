@@ -2,7 +2,6 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const MongoStore = require('connect-mongo');
@@ -10,29 +9,29 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
+const roleRoutes = require('./routes/roles');
+const permissionRoutes = require('./routes/permissions');
+const auditRoutes = require('./routes/audit');
 const { errorHandler } = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
+const traceRequest = require('./middleware/tracing');
 const { logger } = require('./utils/logger');
+const { tracer } = require('./utils/tracing');
+const { initKeys, getJwks } = require('./utils/jwtKeys');
+const { seedPermissions } = require('./utils/permissions');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100, // máximo 100 requests por ventana
-  message: {
-    error: 'Demasiadas peticiones desde esta IP, intenta de nuevo en 15 minutos.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
 // Trust proxy configuration (necesario para API Gateway)
 app.set('trust proxy', 1);
 
 // Middleware
+app.use(requestId);
+app.use(traceRequest);
 app.use(helmet());
-app.use(limiter);
+// Sin rate limiting global por IP (con NAT toda la planta comparte una): el gateway limita por
+// usuario y los endpoints sensibles tienen sus propios limiters (routes/auth.js)
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
   credentials: true
@@ -77,9 +76,18 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Claves públicas para verificar los access tokens (gateway y otros servicios)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/audit', auditRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -108,13 +116,26 @@ const connectDB = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('🔄 Cerrando servidor...');
+  await tracer.shutdown();
   await mongoose.connection.close();
   process.exit(0);
 });
 
 // Start server
 const startServer = async () => {
+  // Sin secreto propio cualquiera podría firmar mfaTokens y saltarse el segundo factor
+  if (!process.env.MFA_TOKEN_SECRET) {
+    throw new Error('MFA_TOKEN_SECRET no está configurado');
+  }
+
+  // Sin clave propia los secretos TOTP de la BD se podrían descifrar con una clave conocida
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY no está configurado');
+  }
+
+  initKeys();
   await connectDB();
+  await seedPermissions();
   
   app.listen(PORT, () => {
     logger.info(`🚀 Auth Service ejecutándose en puerto ${PORT}`);
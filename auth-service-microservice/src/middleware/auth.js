@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
-const logger = require('../utils/logger');
+const { verifyAccessToken } = require('../utils/jwtKeys');
+const { findGrant } = require('../utils/permissions');
+const { logger } = require('../utils/logger');
 const { createError } = require('../utils/errors');
 
 // Middleware de autenticación
@@ -18,7 +20,7 @@ const authMiddleware = async (req, res, next) => {
     const token = authHeader.substring(7); // Remover 'Bearer '
     
     // Verificar token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    const decoded = verifyAccessToken(token);
     
     // Buscar usuario
     const user = await User.findById(decoded.userId);
@@ -73,7 +75,7 @@ const adminMiddleware = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin') {
+  if (req.user.rol !== 'administrador') {
     return res.status(403).json({
       error: 'Acceso denegado',
       message: 'Necesitas permisos de administrador para acceder a este recurso'
@@ -83,25 +85,6 @@ const adminMiddleware = (req, res, next) => {
   next();
 };
 
-// Middleware para verificar rol de moderador o superior
-const moderatorMiddleware = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      error: 'Usuario no autenticado',
-      message: 'Debes estar autenticado para acceder a este recurso'
-    });
-  }
-
-  if (!['admin', 'moderator'].includes(req.user.role)) {
-    return res.status(403).json({
-      error: 'Acceso denegado',
-      message: 'Necesitas permisos de moderador o administrador para acceder a este recurso'
-    });
-  }
-
-  next();
-};
-
 // Middleware para verificar que el usuario es el propietario del recurso o admin
 const ownerOrAdminMiddleware = (req, res, next) => {
   if (!req.user) {
@@ -113,7 +96,7 @@ const ownerOrAdminMiddleware = (req, res, next) => {
 
   const resourceUserId = req.params.userId || req.params.id;
   const isOwner = req.user._id.toString() === resourceUserId;
-  const isAdmin = req.user.role === 'admin';
+  const isAdmin = req.user.rol === 'administrador';
 
   if (!isOwner && !isAdmin) {
     return res.status(403).json({
@@ -135,7 +118,7 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
+    const decoded = verifyAccessToken(token);
     const user = await User.findById(decoded.userId);
     
     if (user && user.isActive && !user.isLocked) {
@@ -151,9 +134,10 @@ const optionalAuthMiddleware = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar permisos específicos
+// Middleware para verificar permisos (todos los indicados, con cualquier ámbito).
+// Deja en req.permissions los permisos del rol para que la ruta acote los datos según el ámbito.
 const requirePermissions = (permissions) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         error: 'Usuario no autenticado',
@@ -161,33 +145,24 @@ const requirePermissions = (permissions) => {
       });
     }
 
-    // Definir permisos por rol
-    const rolePermissions = {
-      user: ['read:own', 'update:own', 'delete:own'],
-      moderator: ['read:own', 'update:own', 'delete:own', 'read:all', 'moderate:content'],
-      admin: ['*'] // Todos los permisos
-    };
+    try {
+      const userPermissions = await req.user.getPermissions();
+      const hasPermission = permissions.every(permission => findGrant(userPermissions, permission));
 
-    const userPermissions = rolePermissions[req.user.role] || [];
-    
-    // Admin tiene todos los permisos
-    if (userPermissions.includes('*')) {
-      return next();
-    }
+      if (!hasPermission) {
+        return res.status(403).json({
+          error: 'Permisos insuficientes',
+          message: 'No tienes los permisos necesarios para realizar esta acción'
+        });
+      }
 
-    // Verificar si el usuario tiene los permisos requeridos
-    const hasPermission = permissions.every(permission => 
-      userPermissions.includes(permission)
-    );
+      req.permissions = userPermissions;
+      next();
 
-    if (!hasPermission) {
-      return res.status(403).json({
-        error: 'Permisos insuficientes',
-        message: 'No tienes los permisos necesarios para realizar esta acción'
-      });
+    } catch (error) {
+      logger.error('Error verificando permisos:', error);
+      next(createError(500, 'Error interno del servidor'));
     }
-
-    next();
   };
 };
 
@@ -210,12 +185,65 @@ const requireEmailVerification = (req, res, next) => {
   next();
 };
 
+// Clientes de servicio autorizados: INTROSPECTION_CLIENTS="api-gateway:secreto,otro-servicio:secreto"
+const getServiceClients = () => {
+  return (process.env.INTROSPECTION_CLIENTS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((clients, entry) => {
+      const separator = entry.indexOf(':');
+      const id = entry.substring(0, separator);
+      const secret = entry.substring(separator + 1);
+      if (separator > 0 && secret) {
+        clients.set(id, secret);
+      }
+      return clients;
+    }, new Map());
+};
+
+// Comparación en tiempo constante para secretos
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Middleware de autenticación de servicios internos (HTTP Basic con client_id:client_secret)
+const clientAuthMiddleware = (req, res, next) => {
+  const authHeader = req.header('Authorization');
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const credentials = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    const clientId = credentials.substring(0, separator);
+    const clientSecret = credentials.substring(separator + 1);
+    const expectedSecret = getServiceClients().get(clientId);
+
+    if (separator > 0 && expectedSecret && safeEqual(clientSecret, expectedSecret)) {
+      req.client = { id: clientId };
+      return next();
+    }
+  }
+
+  logger.warn('Credenciales de cliente inválidas', {
+    ip: req.ip,
+    path: req.originalUrl
+  });
+
+  res.set('WWW-Authenticate', 'Basic realm="auth-service"');
+  return res.status(401).json({
+    error: 'Cliente no autorizado',
+    message: 'Se requieren credenciales de cliente válidas'
+  });
+};
+
 module.exports = {
   authMiddleware,
   adminMiddleware,
-  moderatorMiddleware,
   ownerOrAdminMiddleware,
   optionalAuthMiddleware,
   requirePermissions,
-  requireEmailVerification
+  requireEmailVerification,
+  clientAuthMiddleware
 };
\ No newline at end of file
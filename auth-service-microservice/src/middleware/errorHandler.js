@@ -45,6 +45,7 @@ const errorHandler = (error, req, res, next) => {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     userId: req.user?.id,
+    requestId: req.id,
     timestamp: new Date().toISOString()
   });
 
@@ -98,7 +99,8 @@ const errorHandler = (error, req, res, next) => {
     type: err.type || ErrorTypes.INTERNAL_SERVER_ERROR,
     timestamp: err.timestamp || new Date().toISOString(),
     path: req.originalUrl,
-    method: req.method
+    method: req.method,
+    requestId: req.id
   };
 
   // En desarrollo, incluir stack trace
@@ -0,0 +1,21 @@
+const { resolveRequestId, runWithRequestId } = require('../utils/requestContext');
+
+// Aceptar el X-Request-ID del API Gateway (o generar uno), devolverlo en la respuesta
+// y añadirlo a los logs y a los cuerpos de error JSON
+const requestId = (req, res, next) => {
+  req.id = resolveRequestId(req.headers['x-request-id']);
+  res.set('X-Request-ID', req.id);
+
+  // Las rutas responden errores directamente con res.status(...).json({ error, message })
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.requestId) {
+      return originalJson({ ...body, requestId: req.id });
+    }
+    return originalJson(body);
+  };
+
+  runWithRequestId(req.id, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,37 @@
+const { tracer, SpanKind, SpanStatusCode, extractContext } = require('../utils/tracing');
+
+// Span SERVER por petición, hijo del span de proxy del API Gateway (header traceparent).
+// Al terminar se renombra con la ruta de Express que atendió la petición (p. ej. POST /api/auth/login).
+const traceRequest = (req, res, next) => {
+  const span = tracer.startSpan(`${req.method} ${req.path}`, {
+    kind: SpanKind.SERVER,
+    parent: extractContext(req.headers),
+    attributes: {
+      'http.method': req.method,
+      'http.target': req.originalUrl,
+      'net.peer.ip': req.ip,
+      'user_agent.original': req.get('User-Agent'),
+      'request.id': req.id
+    }
+  });
+
+  const endSpan = () => {
+    if (req.route) {
+      const route = `${req.baseUrl}${req.route.path}`;
+      span.updateName(`${req.method} ${route}`).setAttribute('http.route', route);
+    }
+    span.setAttribute('user.id', req.user?.id && String(req.user.id));
+    span.setAttribute('http.status_code', res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus(SpanStatusCode.ERROR, `HTTP ${res.statusCode}`);
+    }
+    span.end();
+  };
+
+  res.once('finish', endSpan);
+  res.once('close', endSpan);
+
+  tracer.runWithSpan(span, next);
+};
+
+module.exports = traceRequest;
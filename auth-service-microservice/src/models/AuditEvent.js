@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Tipos de evento de auditoría
+const AUDIT_EVENT_TYPES = [
+  'login.success',
+  'login.failure',
+  'account.locked',
+  'account.deleted',
+  'password.changed',
+  'password.reset',
+  'token.revoked',
+  'token.reuse_detected',
+  'user.created',
+  'user.updated',
+  'user.role_changed',
+  'user.status_changed',
+  'user.two_factor_reset',
+  'role.created',
+  'role.updated',
+  'role.deleted',
+  'permission.created',
+  'permission.deleted'
+];
+
+// Referencia a un usuario tal como era en el momento del evento
+const userRefSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  usuario: {
+    type: String,
+    default: null
+  },
+  departamento: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Evento de auditoría: solo se insertan, nunca se modifican ni se borran desde la aplicación
+const auditEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: AUDIT_EVENT_TYPES
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  // Quién hace la acción (null si no se conoce, p. ej. login con un usuario inexistente)
+  actor: {
+    type: userRefSchema,
+    default: null
+  },
+  // Sobre quién se hace (el propio actor en logins y cambios de contraseña)
+  target: {
+    type: userRefSchema,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ type: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.userId': 1, createdAt: -1 });
+
+// Registro de solo escritura: bloquear modificaciones y borrados
+const rejectMutation = function(next) {
+  next(new Error('Los eventos de auditoría no se pueden modificar ni eliminar'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+auditEventSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectMutation
+);
+
+auditEventSchema.statics.TYPES = AUDIT_EVENT_TYPES;
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Permiso con nombre "recurso:accion" (p. ej. users:read). Los roles los agrupan con un ámbito.
+const permissionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del permiso es requerido'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/, 'El permiso debe tener el formato recurso:accion']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres'],
+    default: ''
+  },
+  // Permisos del sistema: los usa el propio servicio y no se pueden eliminar
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+permissionSchema.methods.toJSON = function() {
+  return {
+    name: this.name,
+    description: this.description,
+    isSystem: this.isSystem,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Permission', permissionSchema);
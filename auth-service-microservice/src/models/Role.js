@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Ámbitos de un permiso:
+//   own: solo recursos propios; department: los del mismo departamento; all: todos
+const SCOPES = ['own', 'department', 'all'];
+
+const grantSchema = new mongoose.Schema({
+  // Nombre de un Permission, o "*" para todos los permisos
+  name: {
+    type: String,
+    required: [true, 'El permiso es requerido'],
+    lowercase: true,
+    trim: true
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: SCOPES,
+      message: 'Ámbito no válido'
+    },
+    default: 'all'
+  }
+}, { _id: false });
+
+// Rol: conjunto de permisos con ámbito. Los usuarios lo referencian por nombre en `rol`.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del rol es requerido'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{2,29}$/, 'El nombre del rol solo puede contener letras, números y guiones bajos (3-30)']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La descripción no puede exceder 200 caracteres'],
+    default: ''
+  },
+  permissions: {
+    type: [grantSchema],
+    default: []
+  },
+  // Roles del sistema (administrador, director, usuario): se pueden editar pero no eliminar
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.methods.toJSON = function() {
+  return {
+    name: this.name,
+    description: this.description,
+    permissions: this.permissions.map(({ name, scope }) => ({ name, scope })),
+    isSystem: this.isSystem,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+roleSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { tracer, traceSchema } = require('../utils/tracing');
+const totp = require('../utils/totp');
+const { getSigningKey } = require('../utils/jwtKeys');
+const { DEFAULT_ROLE, getRolePermissions } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   usuario: {
@@ -48,14 +53,17 @@ const userSchema = new mongoose.Schema({
       message: 'Departamento no válido'
     }
   },
+  // Nombre de un Role (administrador, director, usuario o uno creado en /api/roles)
   rol: {
     type: String,
     required: [true, 'El rol es requerido'],
-    enum: {
-      values: ['administrador', 'director', 'usuario'],
+    lowercase: true,
+    trim: true,
+    default: DEFAULT_ROLE,
+    validate: {
+      validator: async (value) => !!(await mongoose.model('Role').exists({ name: value })),
       message: 'Rol no válido'
-    },
-    default: 'usuario'
+    }
   },
   isActive: {
     type: Boolean,
@@ -69,6 +77,19 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  // Contraseña asignada por un gestor: hay que cambiarla en el siguiente login
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
   passwordResetToken: {
     type: String,
     default: null
@@ -89,12 +110,64 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Segundo factor TOTP: secretos cifrados y códigos de recuperación hasheados
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null
+    },
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+    recoveryCodes: [String],
+    lastUsedStep: {
+      type: Number,
+      default: null
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // jti del último mfaToken emitido: solo ese es válido, y deja de serlo al abrir la sesión
+  mfaTokenId: {
+    type: String,
+    default: null
+  },
+  // Una entrada por familia (sesión de un dispositivo); solo se guarda el hash del refresh token vigente
+  // y, durante unos segundos tras rotarlo, el del anterior (ver isRecentlyRotated)
   refreshTokens: [{
-    token: String,
+    tokenHash: String,
+    familyId: String,
+    previousTokenHash: {
+      type: String,
+      default: null
+    },
+    rotatedAt: {
+      type: Date,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: null
+    },
     createdAt: {
       type: Date,
       default: Date.now
     },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
     expiresAt: {
       type: Date,
       default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 días
@@ -108,12 +181,23 @@ const userSchema = new mongoose.Schema({
       delete ret.refreshTokens;
       delete ret.emailVerificationToken;
       delete ret.passwordResetToken;
+      delete ret.mfaTokenId;
+      if (ret.twoFactor) {
+        ret.twoFactor = {
+          enabled: ret.twoFactor.enabled,
+          enabledAt: ret.twoFactor.enabledAt,
+          recoveryCodesRemaining: (ret.twoFactor.recoveryCodes || []).length
+        };
+      }
       delete ret.__v;
       return ret;
     }
   }
 });
 
+// Trazas de findOne/save (antes que el resto de hooks para incluir el hash de la contraseña)
+traceSchema(userSchema, 'User');
+
 // Índices
 // Los índices de usuario y email ya están definidos con unique: true
 userSchema.index({ isActive: 1 });
@@ -135,8 +219,10 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
+    this.password = await tracer.withSpan('bcrypt.hash', { attributes: { 'bcrypt.rounds': 12 } }, async () => {
+      const salt = await bcrypt.genSalt(12);
+      return bcrypt.hash(this.password, salt);
+    });
     next();
   } catch (error) {
     next(error);
@@ -145,11 +231,17 @@ userSchema.pre('save', async function(next) {
 
 // Método para comparar contraseñas
 userSchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
+  return tracer.withSpan('bcrypt.compare', {}, () => bcrypt.compare(candidatePassword, this.password));
+};
+
+// Permisos de su rol como [{ name, scope }]
+userSchema.methods.getPermissions = function() {
+  return getRolePermissions(this.rol);
 };
 
-// Método para generar JWT
-userSchema.methods.generateAuthToken = function() {
+// Método para generar JWT (firma asimétrica con la clave activa; el kid va en la cabecera).
+// Lleva los permisos del rol para que el gateway y otros servicios los apliquen sin consultar la BD.
+userSchema.methods.generateAuthToken = async function() {
   const payload = {
     userId: this._id,
     usuario: this.usuario,
@@ -157,68 +249,344 @@ userSchema.methods.generateAuthToken = function() {
     lastName: this.lastName,
     email: this.email,
     departamento: this.departamento,
-    rol: this.rol
+    rol: this.rol,
+    permissions: await this.getPermissions()
   };
   
+  const { kid, alg, privateKey } = getSigningKey();
   return jwt.sign(
     payload,
-    process.env.JWT_SECRET || 'fallback-secret',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+    privateKey,
+    { algorithm: alg, keyid: kid, expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
   );
 };
 
-// Método para generar refresh token
-userSchema.methods.generateRefreshToken = function() {
-  const refreshToken = jwt.sign(
-    { userId: this._id },
-    process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret',
-    { expiresIn: '7d' }
+// Método para generar el token intermedio del login en dos pasos.
+// purpose: 'mfa_login' (canjear por un código), 'mfa_enroll' (alta obligatoria de 2FA)
+// o 'password_change' (cambio obligatorio de una contraseña temporal).
+// Cada token nuevo invalida el anterior del usuario.
+userSchema.methods.generateMfaToken = async function(purpose) {
+  this.mfaTokenId = crypto.randomBytes(16).toString('hex');
+  await this.save();
+
+  return jwt.sign(
+    { userId: this._id, purpose, jti: this.mfaTokenId },
+    process.env.MFA_TOKEN_SECRET,
+    { expiresIn: process.env.MFA_TOKEN_EXPIRES_IN || '5m' }
+  );
+};
+
+// Firmar un refresh token de una familia (jti aleatorio: cada rotación produce un token distinto)
+const signRefreshToken = (userId, familyId) => jwt.sign(
+  { userId, familyId, jti: crypto.randomBytes(16).toString('hex') },
+  process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret',
+  { expiresIn: '7d' }
+);
+
+// Sesiones simultáneas permitidas según el rol: SESSION_LIMITS="administrador:10,director:5,usuario:3"
+userSchema.methods.getSessionLimit = function() {
+  const limits = Object.fromEntries(
+    (process.env.SESSION_LIMITS || '')
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim()))
+      .filter(([rol, limit]) => rol && parseInt(limit) > 0)
+      .map(([rol, limit]) => [rol, parseInt(limit)])
   );
+  return limits[this.rol] || parseInt(process.env.SESSION_LIMIT_DEFAULT) || 5;
+};
+
+// Método para generar refresh token: cada login abre una familia (sesión) nueva con los datos del dispositivo
+userSchema.methods.generateRefreshToken = function({ userAgent = null, ip = null } = {}) {
+  const familyId = crypto.randomUUID();
+  const refreshToken = signRefreshToken(this._id, familyId);
   
-  // Agregar refresh token al array
+  // Agregar el hash del refresh token al array
   this.refreshTokens.push({
-    token: refreshToken
+    tokenHash: this.constructor.hashToken(refreshToken),
+    familyId,
+    userAgent,
+    ip
   });
   
-  // Mantener solo los últimos 5 refresh tokens
-  if (this.refreshTokens.length > 5) {
-    this.refreshTokens = this.refreshTokens.slice(-5);
+  // Por encima del límite del rol se cierran las sesiones usadas hace más tiempo
+  const limit = this.getSessionLimit();
+  if (this.refreshTokens.length > limit) {
+    this.refreshTokens = [...this.refreshTokens]
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .slice(0, limit);
   }
   
   return refreshToken;
 };
 
+// Método para rotar el refresh token de una familia. La actualización es atómica y solo se aplica
+// si el token presentado sigue siendo el vigente: devuelve el nuevo token, o null si ya se había
+// rotado (reutilización de un token antiguo o dos refresh simultáneos con el mismo token)
+userSchema.methods.rotateRefreshToken = async function(currentToken, familyId, { ip = null } = {}) {
+  const refreshToken = signRefreshToken(this._id, familyId);
+  const currentHash = this.constructor.hashToken(currentToken);
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      refreshTokens: { $elemMatch: { familyId, tokenHash: currentHash } }
+    },
+    {
+      $set: {
+        'refreshTokens.$.tokenHash': this.constructor.hashToken(refreshToken),
+        'refreshTokens.$.previousTokenHash': currentHash,
+        'refreshTokens.$.rotatedAt': new Date(),
+        'refreshTokens.$.lastUsedAt': new Date(),
+        'refreshTokens.$.ip': ip,
+        'refreshTokens.$.expiresAt': new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 días
+      }
+    }
+  );
+
+  return result.modifiedCount === 1 ? refreshToken : null;
+};
+
+// Margen tras una rotación en el que presentar el token anterior no se considera un robo: dos
+// pestañas que renuevan a la vez con la misma cookie, o un reintento tras perder la respuesta
+const REFRESH_REUSE_GRACE_MS = (parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 30) * 1000;
+
+// Indica si un token es el que su familia acaba de sustituir (dentro del margen de gracia)
+userSchema.statics.isRecentlyRotated = function(family, token) {
+  return !!(family.previousTokenHash && family.rotatedAt) &&
+    family.previousTokenHash === this.hashToken(token) &&
+    Date.now() - family.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS;
+};
+
+// Buscar la entrada vigente de un refresh token
+userSchema.methods.findRefreshToken = function(token) {
+  const tokenHash = this.constructor.hashToken(token);
+  return this.refreshTokens.find(rt => rt.tokenHash === tokenHash && rt.expiresAt > new Date()) || null;
+};
+
+// Sesiones activas para mostrar al usuario; `current` marca la del refresh token indicado
+userSchema.methods.getActiveSessions = function(currentToken = null) {
+  const now = new Date();
+  const currentHash = currentToken ? this.constructor.hashToken(currentToken) : null;
+
+  return this.refreshTokens
+    .filter(rt => rt.tokenHash && rt.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map(rt => ({
+      id: rt._id.toString(),
+      userAgent: rt.userAgent,
+      ip: rt.ip,
+      createdAt: rt.createdAt,
+      lastUsedAt: rt.lastUsedAt,
+      expiresAt: rt.expiresAt,
+      current: rt.tokenHash === currentHash
+    }));
+};
+
 // Método para revocar refresh token
 userSchema.methods.revokeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
+  const tokenHash = this.constructor.hashToken(token);
+  this.refreshTokens = this.refreshTokens.filter(rt => rt.tokenHash !== tokenHash);
 };
 
-// Método para limpiar refresh tokens expirados
+// Método para limpiar refresh tokens expirados (y los guardados en claro antes de usar hashes)
 userSchema.methods.cleanExpiredRefreshTokens = function() {
   const now = new Date();
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.expiresAt > now);
+  this.refreshTokens = this.refreshTokens.filter(rt => rt.tokenHash && rt.expiresAt > now);
+};
+
+// Hash SHA-256 de un token de un solo uso (en la BD nunca se guarda el token en claro)
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Contraseña temporal aleatoria que cumple la política (mayúscula, minúscula, número y símbolo)
+const PASSWORD_CHARSETS = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '@$!%*?&'];
+
+userSchema.statics.generateTemporaryPassword = function(length = 16) {
+  const all = PASSWORD_CHARSETS.join('');
+  const chars = PASSWORD_CHARSETS.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+
+  // Mezclar (Fisher-Yates) para que los obligatorios no queden al principio
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+// Método para generar token de restablecimiento de contraseña (devuelve el token en claro)
+userSchema.methods.createPasswordResetToken = function(expiresMinutes) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Método para generar token de verificación de email (devuelve el token en claro)
+userSchema.methods.createEmailVerificationToken = function(expiresMinutes) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + expiresMinutes * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Segundos que faltan para poder reenviar el correo de verificación (0 si ya se puede)
+userSchema.methods.getVerificationResendWait = function(intervalSeconds) {
+  if (!this.emailVerificationSentAt) {
+    return 0;
+  }
+  const remaining = this.emailVerificationSentAt.getTime() + intervalSeconds * 1000 - Date.now();
+  return Math.max(0, Math.ceil(remaining / 1000));
+};
+
+// Roles con 2FA obligatorio: TWO_FACTOR_REQUIRED_ROLES="administrador,director"
+userSchema.methods.isTwoFactorRequired = function() {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+  return roles.includes(this.rol);
+};
+
+// Iniciar el alta de 2FA: genera un secreto pendiente de confirmar (devuelve el secreto en claro)
+userSchema.methods.createTwoFactorSecret = function() {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = totp.encryptSecret(secret);
+  return secret;
+};
+
+// Paso TOTP que corresponde a un código (contra el secreto activo o el pendiente del alta); null si
+// no es válido o es de un paso ya usado
+userSchema.methods.matchTwoFactorStep = function(code, { pending = false } = {}) {
+  const encrypted = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!encrypted) {
+    return null;
+  }
+
+  return totp.verifyCode(totp.decryptSecret(encrypted), code, {
+    lastUsedStep: this.twoFactor.lastUsedStep
+  });
+};
+
+// Verificar un código TOTP contra el secreto activo (o el pendiente durante el alta).
+// Registra el paso usado para que el mismo código no sirva dos veces; el llamador guarda el usuario.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const step = this.matchTwoFactorStep(code, { pending });
+  if (step === null) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Segundo paso del login: canjear el mfaToken (su jti) junto con un código TOTP o de recuperación
+// en una sola actualización condicional. De dos peticiones simultáneas con el mismo mfaToken o el
+// mismo código solo una la aplica; devuelve false para la otra y para los códigos inválidos.
+userSchema.methods.redeemMfaLogin = async function(mfaTokenId, { code, recoveryCode }) {
+  const filter = { _id: this._id, mfaTokenId };
+  const update = { $set: { mfaTokenId: null } };
+
+  if (code) {
+    const step = this.matchTwoFactorStep(code);
+    if (step === null) {
+      return false;
+    }
+    filter.$or = [
+      { 'twoFactor.lastUsedStep': null },
+      { 'twoFactor.lastUsedStep': { $lt: step } }
+    ];
+    update.$set['twoFactor.lastUsedStep'] = step;
+  } else {
+    const hash = this.constructor.hashToken(totp.normalizeRecoveryCode(recoveryCode));
+    filter['twoFactor.recoveryCodes'] = hash;
+    update.$pull = { 'twoFactor.recoveryCodes': hash };
+  }
+
+  const result = await this.constructor.updateOne(filter, update);
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  // Reflejar en el documento lo ya guardado
+  this.mfaTokenId = null;
+  if (update.$pull) {
+    this.twoFactor.recoveryCodes.pull(update.$pull['twoFactor.recoveryCodes']);
+  } else {
+    this.twoFactor.lastUsedStep = update.$set['twoFactor.lastUsedStep'];
+  }
+  return true;
+};
+
+// Activar 2FA con el secreto pendiente y generar códigos de recuperación (devuelve los códigos en claro)
+userSchema.methods.enableTwoFactor = function() {
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  return this.generateRecoveryCodes();
+};
+
+// Reemplazar los códigos de recuperación (devuelve los nuevos en claro)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = totp.generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(code => this.constructor.hashToken(totp.normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Consumir un código de recuperación; false si no existe o ya se usó
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = this.constructor.hashToken(totp.normalizeRecoveryCode(code));
+  const index = this.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Desactivar 2FA y borrar secretos y códigos de recuperación
+userSchema.methods.resetTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.secret = null;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = null;
+  this.twoFactor.enabledAt = null;
 };
 
-// Método para incrementar intentos de login
-userSchema.methods.incLoginAttempts = function() {
+// Método para incrementar intentos de login. Devuelve true si este intento bloquea la cuenta.
+userSchema.methods.incLoginAttempts = async function() {
   // Si tenemos un lock previo y ha expirado, reiniciar
   if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+    await this.updateOne({
       $unset: { lockUntil: 1 },
       $set: { loginAttempts: 1 }
     });
+    return false;
   }
   
   const updates = { $inc: { loginAttempts: 1 } };
   
   // Si llegamos al máximo de intentos y no estamos bloqueados, bloquear
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
+  const locks = this.loginAttempts + 1 >= 5 && !this.isLocked;
+  if (locks) {
     updates.$set = {
       lockUntil: Date.now() + 2 * 60 * 60 * 1000 // 2 horas
     };
   }
   
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return locks;
 };
 
 // Método para resetear intentos de login
@@ -0,0 +1,171 @@
+const express = require('express');
+const AuditEvent = require('../models/AuditEvent');
+const { authMiddleware, requirePermissions } = require('../middleware/auth');
+const { validateAuditQuery } = require('../utils/validation');
+const { findGrant } = require('../utils/permissions');
+const { toCsvRow } = require('../utils/csv');
+const { waitForDrain } = require('../utils/stream');
+const { logger } = require('../utils/logger');
+const { createError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Máximo de eventos por exportación
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 100000;
+
+const CSV_COLUMNS = [
+  'createdAt', 'type', 'outcome',
+  'actorId', 'actorUsuario', 'actorDepartamento',
+  'targetId', 'targetUsuario', 'targetDepartamento',
+  'ip', 'userAgent', 'requestId', 'details'
+];
+
+// Condición "el usuario es actor u objetivo del evento"
+const involving = (field, value) => ({
+  $or: [{ [`actor.${field}`]: value }, { [`target.${field}`]: value }]
+});
+
+// Filtro de MongoDB a partir de la query, acotado al ámbito del permiso audit:read
+// (department: eventos de usuarios del propio departamento; own: los propios)
+const buildAuditFilter = (req) => {
+  const { userId, type, outcome, from, to } = req.query;
+  const conditions = [];
+
+  if (userId) conditions.push(involving('userId', userId));
+  if (type) conditions.push({ type: { $in: type } });
+  if (outcome) conditions.push({ outcome });
+  if (from || to) {
+    conditions.push({
+      createdAt: {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      }
+    });
+  }
+
+  const grant = findGrant(req.permissions, 'audit:read');
+  if (grant.scope === 'department') {
+    conditions.push(involving('departamento', req.user.departamento));
+  } else if (grant.scope === 'own') {
+    conditions.push(involving('userId', req.user._id));
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+const serializeEvent = (event) => ({
+  id: event._id,
+  type: event.type,
+  outcome: event.outcome,
+  actor: event.actor,
+  target: event.target,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  requestId: event.requestId,
+  details: event.details,
+  createdAt: event.createdAt
+});
+
+const eventToCsvValues = (event) => [
+  event.createdAt,
+  event.type,
+  event.outcome,
+  event.actor && event.actor.userId,
+  event.actor && event.actor.usuario,
+  event.actor && event.actor.departamento,
+  event.target && event.target.userId,
+  event.target && event.target.usuario,
+  event.target && event.target.departamento,
+  event.ip,
+  event.userAgent,
+  event.requestId,
+  event.details && Object.keys(event.details).length > 0 ? JSON.stringify(event.details) : ''
+];
+
+// GET /api/audit - Consultar eventos (?userId=&type=&outcome=&from=&to=&page=&limit=)
+router.get('/', authMiddleware, requirePermissions(['audit:read']), validateAuditQuery, async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = buildAuditFilter(req);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      events: events.map(serializeEvent),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error consultando auditoría:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// GET /api/audit/export - Descargar los eventos filtrados (?format=csv|json, mismos filtros)
+// Se envían en streaming desde un cursor, sin cargarlos todos en memoria.
+router.get('/export', authMiddleware, requirePermissions(['audit:read']), validateAuditQuery, async (req, res, next) => {
+  const { format } = req.query;
+  const cursor = AuditEvent.find(buildAuditFilter(req))
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean()
+    .cursor();
+
+  res.on('close', () => cursor.close().catch(() => {}));
+
+  try {
+    const fileName = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.set('Cache-Control', 'no-store');
+
+    // BOM para que Excel detecte UTF-8
+    res.write(format === 'csv' ? `\uFEFF${toCsvRow(CSV_COLUMNS)}` : '[');
+
+    let count = 0;
+    for await (const event of cursor) {
+      if (res.destroyed) {
+        break;
+      }
+
+      const chunk = format === 'csv'
+        ? toCsvRow(eventToCsvValues(event))
+        : `${count > 0 ? ',' : ''}\n${JSON.stringify(serializeEvent(event))}`;
+      count++;
+
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+
+    logger.info(`Auditoría exportada (${format}): ${count} eventos`, {
+      userId: req.user._id,
+      ip: req.ip
+    });
+
+  } catch (error) {
+    logger.error('Error exportando auditoría:', error);
+
+    // Con la descarga ya empezada solo se puede cortar la conexión
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+module.exports = router;
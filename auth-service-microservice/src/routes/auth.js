@@ -3,23 +3,141 @@ const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { authMiddleware } = require('../middleware/auth');
-const { logger } = require('../utils/logger');
+const { authMiddleware, optionalAuthMiddleware, clientAuthMiddleware } = require('../middleware/auth');
+const { logger, logPasswordChange, logSecurity, logSuspiciousActivity, logLoginAttempt, logRegistration } = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
 const { createError } = require('../utils/errors');
+const {
+  authSchemas,
+  validate,
+  validateData,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateLoginPasswordChange,
+  validateSessionId
+} = require('../utils/validation');
+const { DEFAULT_ROLE } = require('../utils/permissions');
+const { buildOtpauthUrl } = require('../utils/totp');
+const { verifyAccessToken } = require('../utils/jwtKeys');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail, emailVerificationEmail } = require('../utils/emailTemplates');
 
 const router = express.Router();
 
 // Rate limiting específico para auth
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 5, // máximo 5 intentos de login por IP
+  max: 5, // máximo 5 intentos de login por IP y usuario
   message: {
     error: 'Demasiados intentos de autenticación. Intenta de nuevo en 15 minutos.'
   },
   standardHeaders: true,
+  legacyHeaders: false,
+  // Con toda la planta detrás de una misma IP (NAT), contar por IP y usuario para no bloquear a todos
+  keyGenerator: (req) => `${req.ip}:${String(req.body?.usuario || '').trim().toLowerCase()}`
+});
+
+// Techo de intentos de login por IP sea cual sea el usuario: sin él, rotar usuarios esquiva authLimiter
+const authIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_PER_IP) || 100,
+  message: {
+    error: 'Demasiados intentos de autenticación desde esta IP. Intenta de nuevo en 15 minutos.'
+  },
+  standardHeaders: true,
   legacyHeaders: false
 });
 
+// Rate limiting del registro (por IP): cada alta envía un correo de verificación
+const registerLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: parseInt(process.env.REGISTER_RATE_LIMIT_PER_IP) || 20,
+  message: {
+    error: 'Demasiados registros desde esta IP. Intenta de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting de la renovación de tokens (por IP; holgado porque la planta comparte IP)
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: parseInt(process.env.REFRESH_RATE_LIMIT_PER_IP) || 300,
+  message: {
+    error: 'Demasiadas renovaciones de token. Intenta de nuevo en 15 minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting de la introspección (por IP): solo cuentan las credenciales de cliente rechazadas,
+// para no limitar al gateway, que introspecciona en cada petición
+const introspectLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Demasiados intentos de autenticación de cliente. Intenta de nuevo en 15 minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limiting para restablecimiento de contraseña (por IP y email)
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5,
+  message: {
+    error: 'Demasiadas solicitudes de restablecimiento. Intenta de nuevo en 15 minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`
+});
+
+// Rate limiting para el envío de correos de verificación (por IP y email)
+const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5,
+  message: {
+    error: 'Demasiadas solicitudes de verificación. Intenta de nuevo en 15 minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`
+});
+
+// Rate limiting para el segundo paso del login (por IP y usuario del mfaToken)
+const mfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  message: {
+    error: 'Demasiados intentos de verificación. Intenta de nuevo en 15 minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.ip}:${jwt.decode(String(req.body?.mfaToken || ''))?.userId || ''}`
+});
+
+// Vigencia del enlace de restablecimiento de contraseña
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+// Vigencia del enlace de verificación de email y espera mínima entre reenvíos
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60;
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Con REQUIRE_EMAIL_VERIFICATION=true solo pueden iniciar sesión usuarios con el email verificado
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Con SELF_REGISTRATION_ENABLED=false las cuentas solo las da de alta un gestor (POST /api/users)
+const isSelfRegistrationEnabled = () => process.env.SELF_REGISTRATION_ENABLED !== 'false';
+
+// El token llega en la URL del enlace
+const validateVerifyEmailToken = validate(authSchemas.verifyEmail, 'params');
+
 // Validaciones
 const registerValidation = [
   body('usuario')
@@ -49,9 +167,11 @@ const registerValidation = [
   body('departamento')
     .isIn(['administracion', 'compras', 'informatica', 'gerencia', 'rrhh', 'produccion', 'softgel', 'calidad', 'laboratorio', 'mantenimiento', 'oficina_tecnica', 'logistica'])
     .withMessage('Departamento no válido'),
+  // El autorregistro solo crea cuentas con el rol por defecto
   body('rol')
-    .isIn(['administrador', 'director', 'usuario'])
-    .withMessage('Rol no válido')
+    .optional()
+    .equals(DEFAULT_ROLE)
+    .withMessage(`El registro solo permite crear cuentas con rol ${DEFAULT_ROLE}`)
 ];
 
 const loginValidation = [
@@ -64,6 +184,218 @@ const loginValidation = [
     .withMessage('La contraseña es requerida')
 ];
 
+// Verificación de firma por tipo de token (access: clave pública según kid; refresh: secreto propio)
+const tokenVerifiers = {
+  access_token: (token) => verifyAccessToken(token),
+  refresh_token: (token) => jwt.verify(token, process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret')
+};
+
+// Introspección de un token: verifica firma, estado del usuario y, para refresh tokens, que no esté revocado
+const introspectToken = async (token, tokenTypeHint) => {
+  const tokenTypes = tokenTypeHint === 'refresh_token'
+    ? ['refresh_token', 'access_token']
+    : ['access_token', 'refresh_token'];
+
+  for (const tokenType of tokenTypes) {
+    let decoded;
+    try {
+      decoded = tokenVerifiers[tokenType](token);
+    } catch (error) {
+      continue;
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive || user.isLocked) {
+      return { active: false };
+    }
+
+    if (tokenType === 'refresh_token' && !user.findRefreshToken(token)) {
+      return { active: false };
+    }
+
+    return {
+      active: true,
+      token_type: tokenType,
+      sub: user._id.toString(),
+      username: user.usuario,
+      email: user.email,
+      rol: user.rol,
+      departamento: user.departamento,
+      permissions: await user.getPermissions(),
+      exp: decoded.exp,
+      iat: decoded.iat
+    };
+  }
+
+  return { active: false };
+};
+
+// Generar un token de verificación, guardarlo y enviar el enlace al email del usuario
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_EXPIRES_MINUTES);
+  await user.save();
+
+  const verifyUrl = `${process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email'}/${verificationToken}`;
+
+  // Sin esperar al envío: un fallo del servidor de correo no debe romper el registro
+  sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ user, verifyUrl, expiresMinutes: EMAIL_VERIFICATION_EXPIRES_MINUTES })
+  }).catch(error => {
+    logger.error('Error enviando correo de verificación:', { error: error.message, userId: user._id });
+  });
+};
+
+// Usuario activo de un mfaToken emitido por /login para el propósito indicado; null si el token
+// no es válido o ya no es el vigente del usuario (se canjeó o se emitió otro después)
+const findMfaTokenUser = async (mfaToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, process.env.MFA_TOKEN_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: decoded.userId, isActive: true });
+  return user && user.mfaTokenId === decoded.jti ? user : null;
+};
+
+// Autenticación para el alta de 2FA: access token, o mfaToken de alta obligatoria durante el login
+const enrollmentAuthMiddleware = async (req, res, next) => {
+  if (!req.body?.mfaToken) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const user = await findMfaTokenUser(req.body.mfaToken, 'mfa_enroll');
+
+    // El alta durante el login solo existe para los roles que exigen 2FA
+    if (!user || !user.isTwoFactorRequired()) {
+      return res.status(401).json({
+        error: 'Token MFA inválido',
+        message: 'La verificación en dos pasos ha caducado, inicia sesión de nuevo'
+      });
+    }
+
+    req.user = user;
+    req.mfaEnrollment = true;
+    next();
+  } catch (error) {
+    logger.error('Error en autenticación de alta 2FA:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+};
+
+// Cookie httpOnly con el refresh token
+const setRefreshTokenCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 días
+  });
+};
+
+// Registrar un login fallido (log de seguridad y auditoría) y el bloqueo de la cuenta si lo provoca.
+// Sin usuario (usuario inexistente) se guarda el nombre intentado.
+const recordLoginFailure = async (req, user, reason, { locked = false, usuario = null } = {}) => {
+  logLoginAttempt(user ? user.email : usuario, false, req.ip, req.get('User-Agent'), { reason });
+  await recordAuditEvent(req, 'login.failure', {
+    actor: user,
+    target: user,
+    outcome: 'failure',
+    details: user ? { reason } : { reason, usuario }
+  });
+
+  if (locked) {
+    logSecurity('Cuenta bloqueada por intentos fallidos', { userId: user._id, ip: req.ip });
+    await recordAuditEvent(req, 'account.locked', {
+      actor: user,
+      target: user,
+      details: { reason, lockUntil: new Date(Date.now() + 2 * 60 * 60 * 1000) }
+    });
+  }
+};
+
+// Abrir sesión tras un login completo: sesión, access token y cookie con el refresh token
+const startSession = async (req, res, user) => {
+  // Limpiar refresh tokens expirados
+  user.cleanExpiredRefreshTokens();
+
+  // El mfaToken con el que se llegó hasta aquí queda canjeado
+  user.mfaTokenId = null;
+
+  // Crear sesión
+  req.session.userId = user._id;
+  req.session.usuario = user.usuario;
+  req.session.rol = user.rol;
+  req.session.departamento = user.departamento;
+
+  // Generar nuevos tokens
+  const accessToken = await user.generateAuthToken();
+  const refreshToken = user.generateRefreshToken({ userAgent: req.get('User-Agent'), ip: req.ip });
+  await user.save();
+
+  // Configurar cookie con refresh token
+  setRefreshTokenCookie(res, refreshToken);
+
+  logger.info(`Usuario logueado: ${user.usuario}`, {
+    userId: user._id,
+    ip: req.ip
+  });
+  logLoginAttempt(user.email, true, req.ip, req.get('User-Agent'), { userId: user._id });
+  await recordAuditEvent(req, 'login.success', {
+    actor: user,
+    target: user,
+    details: { twoFactor: user.twoFactor.enabled }
+  });
+
+  return {
+    user: user.toJSON(),
+    accessToken,
+    session: {
+      userId: req.session.userId,
+      usuario: req.session.usuario,
+      rol: req.session.rol,
+      departamento: req.session.departamento
+    }
+  };
+};
+
+// Continuar el login con la contraseña ya verificada (y cambiada si era temporal): segundo
+// factor si lo tiene o su rol lo exige; si no, se abre la sesión
+const continueLogin = async (req, res, user) => {
+  // Con 2FA la contraseña no basta: se devuelve un mfaToken de corta duración que se canjea
+  // en /login/2fa. Los intentos fallidos no se resetean hasta completar el segundo paso.
+  if (user.twoFactor.enabled) {
+    return res.json({
+      message: 'Introduce el código de tu app de autenticación',
+      mfaRequired: true,
+      mfaToken: await user.generateMfaToken('mfa_login')
+    });
+  }
+
+  // Rol con 2FA obligatorio y sin configurar: el alta (/2fa/setup y /2fa/enable) completa el login
+  if (user.isTwoFactorRequired()) {
+    return res.json({
+      message: 'Tu rol requiere verificación en dos pasos: configúrala para continuar',
+      mfaEnrollmentRequired: true,
+      mfaToken: await user.generateMfaToken('mfa_enroll')
+    });
+  }
+
+  // Login exitoso - resetear intentos
+  await user.resetLoginAttempts();
+
+  res.json({
+    message: 'Login exitoso',
+    ...await startSession(req, res, user)
+  });
+};
+
 // Helper para manejar errores de validación
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -76,10 +408,21 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Rechazar el registro si está deshabilitado (antes de validar nada)
+const selfRegistrationGuard = (req, res, next) => {
+  if (!isSelfRegistrationEnabled()) {
+    return res.status(403).json({
+      error: 'Registro deshabilitado',
+      message: 'Las cuentas las da de alta un administrador'
+    });
+  }
+  next();
+};
+
 // POST /api/auth/register
-router.post('/register', registerValidation, handleValidationErrors, async (req, res, next) => {
+router.post('/register', registerLimiter, selfRegistrationGuard, registerValidation, handleValidationErrors, async (req, res, next) => {
   try {
-    const { usuario, firstName, lastName, email, password, departamento, rol } = req.body;
+    const { usuario, firstName, lastName, email, password, departamento } = req.body;
 
     // Verificar si el usuario ya existe
     const existingUser = await User.findOne({ $or: [{ usuario }, { email }] });
@@ -98,10 +441,25 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
       email,
       password,
       departamento,
-      rol
+      rol: DEFAULT_ROLE
     });
 
-    await user.save();
+    await sendVerificationEmail(user);
+    logRegistration(user.email, req.ip, req.get('User-Agent'), { userId: user._id, usuario });
+
+    // Sin email verificado no se abre sesión si la verificación es obligatoria
+    if (isEmailVerificationRequired()) {
+      logger.info(`Usuario registrado pendiente de verificar email: ${usuario}`, {
+        userId: user._id,
+        ip: req.ip
+      });
+
+      return res.status(201).json({
+        message: 'Usuario registrado. Revisa tu email para verificar la cuenta antes de iniciar sesión',
+        user: user.toJSON(),
+        emailVerificationRequired: true
+      });
+    }
 
     // Crear sesión
     req.session.userId = user._id;
@@ -110,17 +468,12 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
     req.session.departamento = user.departamento;
 
     // Generar tokens (mantener compatibilidad)
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    const accessToken = await user.generateAuthToken();
+    const refreshToken = user.generateRefreshToken({ userAgent: req.get('User-Agent'), ip: req.ip });
     await user.save(); // Guardar refresh token
 
     // Configurar cookie con refresh token
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 días
-    });
+    setRefreshTokenCookie(res, refreshToken);
 
     logger.info(`Usuario registrado: ${usuario}`, {
       userId: user._id,
@@ -146,13 +499,14 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
 });
 
 // POST /api/auth/login
-router.post('/login', authLimiter, loginValidation, handleValidationErrors, async (req, res, next) => {
+router.post('/login', authIpLimiter, authLimiter, loginValidation, handleValidationErrors, async (req, res, next) => {
   try {
     const { usuario, password } = req.body;
 
     // Buscar usuario
     const user = await User.findOne({ usuario, isActive: true });
     if (!user) {
+      await recordLoginFailure(req, null, 'unknown_user', { usuario });
       return res.status(401).json({
         error: 'Credenciales inválidas',
         message: 'Usuario o contraseña incorrectos'
@@ -161,6 +515,7 @@ router.post('/login', authLimiter, loginValidation, handleValidationErrors, asyn
 
     // Verificar si la cuenta está bloqueada
     if (user.isLocked) {
+      await recordLoginFailure(req, user, 'account_locked');
       return res.status(423).json({
         error: 'Cuenta bloqueada',
         message: 'Cuenta temporalmente bloqueada por múltiples intentos fallidos'
@@ -170,63 +525,347 @@ router.post('/login', authLimiter, loginValidation, handleValidationErrors, asyn
     // Verificar contraseña
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      await user.incLoginAttempts();
+      const locked = await user.incLoginAttempts();
+      await recordLoginFailure(req, user, 'invalid_password', { locked });
       return res.status(401).json({
         error: 'Credenciales inválidas',
         message: 'Usuario o contraseña incorrectos'
       });
     }
 
+    // La contraseña es correcta: solo entonces se indica que falta verificar el email
+    if (isEmailVerificationRequired() && !user.isEmailVerified) {
+      logger.warn(`Login rechazado por email sin verificar: ${usuario}`, {
+        userId: user._id,
+        ip: req.ip
+      });
+      await recordLoginFailure(req, user, 'email_not_verified');
+
+      return res.status(403).json({
+        error: 'Email no verificado',
+        message: 'Debes verificar tu email antes de iniciar sesión',
+        emailVerificationRequired: true
+      });
+    }
+
+    // Contraseña asignada por un gestor: hay que cambiarla en /login/change-password antes de seguir
+    if (user.mustChangePassword) {
+      return res.json({
+        message: 'Debes cambiar la contraseña temporal para continuar',
+        passwordChangeRequired: true,
+        mfaToken: await user.generateMfaToken('password_change')
+      });
+    }
+
+    await continueLogin(req, res, user);
+
+  } catch (error) {
+    logger.error('Error en login:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/login/change-password - Cambiar la contraseña temporal y continuar el login
+router.post('/login/change-password', mfaLimiter, validateLoginPasswordChange, async (req, res, next) => {
+  try {
+    const { mfaToken, newPassword } = req.body;
+
+    const user = await findMfaTokenUser(mfaToken, 'password_change');
+
+    if (!user || !user.mustChangePassword) {
+      return res.status(401).json({
+        error: 'Token MFA inválido',
+        message: 'El cambio de contraseña ha caducado, inicia sesión de nuevo'
+      });
+    }
+
+    if (user.isLocked) {
+      await recordLoginFailure(req, user, 'account_locked');
+      return res.status(423).json({
+        error: 'Cuenta bloqueada',
+        message: 'Cuenta temporalmente bloqueada por múltiples intentos fallidos'
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        error: 'Contraseña inválida',
+        message: 'La nueva contraseña debe ser diferente a la temporal'
+      });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+
+    logPasswordChange(user._id, user.email, req.ip, { method: 'temporary' });
+    await recordAuditEvent(req, 'password.changed', {
+      actor: user,
+      target: user,
+      details: { reason: 'temporary_password' }
+    });
+
+    await continueLogin(req, res, user);
+
+  } catch (error) {
+    logger.error('Error en cambio de contraseña temporal:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/login/2fa - Segundo paso del login
+router.post('/login/2fa', mfaLimiter, validateTwoFactorLogin, async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    const user = await findMfaTokenUser(mfaToken, 'mfa_login');
+
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        error: 'Token MFA inválido',
+        message: 'La verificación en dos pasos ha caducado, inicia sesión de nuevo'
+      });
+    }
+
+    if (user.isLocked) {
+      await recordLoginFailure(req, user, 'account_locked');
+      return res.status(423).json({
+        error: 'Cuenta bloqueada',
+        message: 'Cuenta temporalmente bloqueada por múltiples intentos fallidos'
+      });
+    }
+
+    // El mfaToken y el código se canjean a la vez y de forma atómica, antes de emitir ningún token
+    const isCodeValid = await user.redeemMfaLogin(user.mfaTokenId, { code, recoveryCode });
+    if (!isCodeValid) {
+      const locked = await user.incLoginAttempts();
+      logSecurity('Código 2FA incorrecto', {
+        userId: user._id,
+        ip: req.ip,
+        method: code ? 'totp' : 'recovery_code'
+      });
+      await recordLoginFailure(req, user, code ? 'invalid_2fa_code' : 'invalid_recovery_code', { locked });
+      return res.status(401).json({
+        error: 'Código inválido',
+        message: 'El código de verificación no es correcto'
+      });
+    }
+
+    if (recoveryCode) {
+      logSecurity('Login con código de recuperación 2FA', {
+        userId: user._id,
+        ip: req.ip,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+      });
+    }
+
     // Login exitoso - resetear intentos
     await user.resetLoginAttempts();
-    
-    // Limpiar refresh tokens expirados
-    user.cleanExpiredRefreshTokens();
 
-    // Crear sesión
-    req.session.userId = user._id;
-    req.session.usuario = user.usuario;
-    req.session.rol = user.rol;
-    req.session.departamento = user.departamento;
+    res.json({
+      message: 'Login exitoso',
+      ...await startSession(req, res, user),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+
+  } catch (error) {
+    logger.error('Error en login 2FA:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/2fa/setup - Iniciar el alta de 2FA
+router.post('/2fa/setup', enrollmentAuthMiddleware, async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        error: '2FA ya activado',
+        message: 'La verificación en dos pasos ya está activada en tu cuenta'
+      });
+    }
 
-    // Generar nuevos tokens
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    const secret = user.createTwoFactorSecret();
     await user.save();
 
-    // Configurar cookie con refresh token
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 días
+    res.json({
+      message: 'Escanea el código QR con tu app de autenticación y confirma con el primer código',
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        accountName: user.usuario,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Auth Service'
+      })
     });
 
-    logger.info(`Usuario logueado: ${usuario}`, {
+  } catch (error) {
+    logger.error('Error en alta 2FA:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirmar el alta con el primer código
+router.post('/2fa/enable', enrollmentAuthMiddleware, validateTwoFactorCode, async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        error: '2FA ya activado',
+        message: 'La verificación en dos pasos ya está activada en tu cuenta'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        error: 'Alta no iniciada',
+        message: 'Inicia el alta de la verificación en dos pasos con /2fa/setup'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(400).json({
+        error: 'Código inválido',
+        message: 'El código no coincide: revisa la hora del dispositivo e inténtalo de nuevo'
+      });
+    }
+
+    // Los códigos de recuperación solo se muestran ahora
+    const recoveryCodes = user.enableTwoFactor();
+
+    logSecurity('2FA activado', {
       userId: user._id,
       ip: req.ip
     });
 
+    // Alta obligatoria durante el login: al confirmarla se completa el login
+    if (req.mfaEnrollment) {
+      await user.resetLoginAttempts();
+
+      return res.json({
+        message: 'Verificación en dos pasos activada. Login exitoso',
+        recoveryCodes,
+        ...await startSession(req, res, user)
+      });
+    }
+
+    await user.save();
+
     res.json({
-      message: 'Login exitoso',
-      user: user.toJSON(),
-      accessToken,
-      session: {
-        userId: req.session.userId,
-        usuario: req.session.usuario,
-        rol: req.session.rol,
-        departamento: req.session.departamento
+      message: 'Verificación en dos pasos activada',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('Error activando 2FA:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/2fa/disable - Desactivar 2FA (contraseña y código)
+router.post('/2fa/disable', authMiddleware, validateTwoFactorDisable, async (req, res, next) => {
+  try {
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: '2FA no activado',
+        message: 'La verificación en dos pasos no está activada en tu cuenta'
+      });
+    }
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        error: '2FA obligatorio',
+        message: 'Tu rol requiere verificación en dos pasos; un administrador puede restablecerla'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+    if (!isPasswordValid || !isCodeValid) {
+      // Cuentan como intentos de login fallidos: con un access token robado no se puede
+      // probar contraseñas o códigos sin acabar bloqueando la cuenta
+      const locked = await user.incLoginAttempts();
+      logSecurity('Credenciales incorrectas al desactivar 2FA', {
+        userId: user._id,
+        ip: req.ip,
+        reason: isPasswordValid ? 'invalid_2fa_code' : 'invalid_password'
+      });
+      if (locked) {
+        logSecurity('Cuenta bloqueada por intentos fallidos', { userId: user._id, ip: req.ip });
+        await recordAuditEvent(req, 'account.locked', {
+          actor: user,
+          target: user,
+          details: { reason: '2fa_disable', lockUntil: new Date(Date.now() + 2 * 60 * 60 * 1000) }
+        });
       }
+      return res.status(401).json({
+        error: 'Credenciales inválidas',
+        message: 'Contraseña o código de verificación incorrectos'
+      });
+    }
+
+    user.resetTwoFactor();
+    await user.save();
+
+    logSecurity('2FA desactivado', {
+      userId: user._id,
+      ip: req.ip
+    });
+
+    res.json({
+      message: 'Verificación en dos pasos desactivada'
     });
 
   } catch (error) {
-    logger.error('Error en login:', error);
+    logger.error('Error desactivando 2FA:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Regenerar códigos de recuperación
+router.post('/2fa/recovery-codes', authMiddleware, validateTwoFactorCode, async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: '2FA no activado',
+        message: 'La verificación en dos pasos no está activada en tu cuenta'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        error: 'Código inválido',
+        message: 'El código de verificación no es correcto'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    logSecurity('Códigos de recuperación 2FA regenerados', {
+      userId: user._id,
+      ip: req.ip
+    });
+
+    res.json({
+      message: 'Códigos de recuperación regenerados. Los anteriores ya no son válidos',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('Error regenerando códigos de recuperación:', error);
     next(createError(500, 'Error interno del servidor'));
   }
 });
 
 // POST /api/auth/refresh
-router.post('/refresh', async (req, res, next) => {
+router.post('/refresh', refreshLimiter, async (req, res, next) => {
   try {
     const { refreshToken } = req.cookies;
 
@@ -240,22 +879,64 @@ router.post('/refresh', async (req, res, next) => {
     // Verificar refresh token
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret');
     
-    // Buscar usuario y verificar que el token existe
-    const user = await User.findOne({
-      _id: decoded.userId,
-      'refreshTokens.token': refreshToken,
-      isActive: true
-    });
+    // Buscar usuario y la familia (login) del token
+    const user = await User.findOne({ _id: decoded.userId, isActive: true });
+    const family = user && decoded.familyId &&
+      user.refreshTokens.find(rt => rt.familyId === decoded.familyId && rt.expiresAt > new Date());
 
-    if (!user) {
+    if (!family) {
+      res.clearCookie('refreshToken');
       return res.status(401).json({
         error: 'Token inválido',
         message: 'Token de actualización inválido o expirado'
       });
     }
 
+    // Rotar: el token presentado deja de valer. Si ya no era el vigente de su familia (o otra
+    // petición lo ha rotado antes), alguien está reutilizando un token antiguo: puede ser una
+    // cookie robada, así que se revoca la familia entera y ambos, atacante y usuario, deben volver a entrar
+    const newRefreshToken = family.tokenHash === User.hashToken(refreshToken)
+      ? await user.rotateRefreshToken(refreshToken, decoded.familyId, { ip: req.ip })
+      : null;
+
+    // Salvo si se acaba de rotar (otra pestaña o un reintento): no se revoca nada y se responde 409;
+    // el cliente ya tiene, o recibe en la otra respuesta, la cookie con el token nuevo
+    const currentFamily = newRefreshToken ? null : await User.findOne(
+      { _id: user._id, 'refreshTokens.familyId': decoded.familyId },
+      { 'refreshTokens.$': 1 }
+    );
+    if (currentFamily && User.isRecentlyRotated(currentFamily.refreshTokens[0], refreshToken)) {
+      return res.status(409).json({
+        error: 'Token ya renovado',
+        message: 'El token de actualización se acaba de renovar en otra petición; reintenta con la cookie actual'
+      });
+    }
+
+    if (!newRefreshToken) {
+      await User.updateOne({ _id: user._id }, { $pull: { refreshTokens: { familyId: decoded.familyId } } });
+
+      logSuspiciousActivity('Reutilización de refresh token', user._id, req.ip, {
+        familyId: decoded.familyId,
+        userAgent: req.get('User-Agent')
+      });
+      await recordAuditEvent(req, 'token.reuse_detected', {
+        actor: user,
+        target: user,
+        outcome: 'failure',
+        details: { familyId: decoded.familyId }
+      });
+
+      res.clearCookie('refreshToken');
+      return res.status(401).json({
+        error: 'Token inválido',
+        message: 'Token de actualización ya utilizado: inicia sesión de nuevo'
+      });
+    }
+
+    setRefreshTokenCookie(res, newRefreshToken);
+
     // Generar nuevo access token
-    const newAccessToken = user.generateAuthToken();
+    const newAccessToken = await user.generateAuthToken();
 
     res.json({
       message: 'Token actualizado exitosamente',
@@ -301,6 +982,7 @@ router.post('/logout', authMiddleware, async (req, res, next) => {
       userId: user._id,
       ip: req.ip
     });
+    await recordAuditEvent(req, 'token.revoked', { target: user, details: { reason: 'logout' } });
 
     res.json({
       message: 'Logout exitoso'
@@ -335,6 +1017,7 @@ router.post('/logout-all', authMiddleware, async (req, res, next) => {
       userId: user._id,
       ip: req.ip
     });
+    await recordAuditEvent(req, 'token.revoked', { target: user, details: { reason: 'logout_all' } });
 
     res.json({
       message: 'Deslogueado de todos los dispositivos exitosamente'
@@ -346,6 +1029,257 @@ router.post('/logout-all', authMiddleware, async (req, res, next) => {
   }
 });
 
+// GET /api/auth/sessions - Sesiones activas (dispositivos) del usuario
+router.get('/sessions', authMiddleware, (req, res) => {
+  res.json({
+    sessions: req.user.getActiveSessions(req.cookies.refreshToken)
+  });
+});
+
+// DELETE /api/auth/sessions/:id - Cerrar una sesión (dispositivo) concreta
+router.delete('/sessions/:id', authMiddleware, validateSessionId, async (req, res, next) => {
+  try {
+    const user = req.user;
+    const session = user.refreshTokens.id(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Sesión no encontrada',
+        message: 'La sesión no existe o ya se ha cerrado'
+      });
+    }
+
+    const isCurrent = !!req.cookies.refreshToken &&
+      session.tokenHash === User.hashToken(req.cookies.refreshToken);
+
+    await User.updateOne({ _id: user._id }, { $pull: { refreshTokens: { _id: session._id } } });
+
+    if (isCurrent) {
+      res.clearCookie('refreshToken');
+    }
+
+    logger.info(`Sesión cerrada: ${user.usuario}`, {
+      userId: user._id,
+      sessionId: req.params.id,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'token.revoked', {
+      target: user,
+      details: { reason: 'session_closed', sessionId: req.params.id }
+    });
+
+    res.json({
+      message: 'Sesión cerrada exitosamente'
+    });
+
+  } catch (error) {
+    logger.error('Error cerrando sesión:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/forgot-password
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isActive: true });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRES_MINUTES);
+      await user.save();
+
+      const resetUrl = `${process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password'}?token=${resetToken}`;
+
+      // Sin esperar al envío: el tiempo de respuesta no debe delatar si la cuenta existe
+      sendMail({
+        to: user.email,
+        ...passwordResetEmail({ user, resetUrl, expiresMinutes: PASSWORD_RESET_EXPIRES_MINUTES })
+      }).catch(error => {
+        logger.error('Error enviando correo de restablecimiento:', { error: error.message, userId: user._id });
+      });
+
+      logger.info(`Restablecimiento de contraseña solicitado: ${user.usuario}`, {
+        userId: user._id,
+        ip: req.ip
+      });
+    } else {
+      logger.info('Restablecimiento de contraseña solicitado para un email sin cuenta activa', { ip: req.ip });
+    }
+
+    // Misma respuesta exista o no la cuenta
+    res.json({
+      message: 'Si existe una cuenta con ese email, recibirás un enlace para restablecer la contraseña'
+    });
+
+  } catch (error) {
+    logger.error('Error en forgot-password:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/reset-password
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    // Consumir el token de forma atómica: un segundo uso concurrente no lo encuentra
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true
+      },
+      { $set: { passwordResetToken: null, passwordResetExpires: null } }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Token inválido',
+        message: 'El enlace de restablecimiento no es válido o ha caducado'
+      });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+
+    // Revocar todas las sesiones abiertas
+    user.refreshTokens = [];
+    await user.save();
+
+    res.clearCookie('refreshToken');
+
+    logPasswordChange(user._id, user.email, req.ip, { method: 'reset' });
+    await recordAuditEvent(req, 'password.reset', { actor: user, target: user });
+
+    res.json({
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con la nueva contraseña'
+    });
+
+  } catch (error) {
+    logger.error('Error en reset-password:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/auth/send-verification
+// Con sesión se envía al usuario autenticado; sin sesión (p. ej. login rechazado por email
+// sin verificar) se indica el email en el body y la respuesta no revela si la cuenta existe
+router.post('/send-verification', verificationLimiter, optionalAuthMiddleware, async (req, res, next) => {
+  try {
+    if (req.user) {
+      const user = req.user;
+
+      if (user.isEmailVerified) {
+        return res.status(400).json({
+          error: 'Email ya verificado',
+          message: 'Tu email ya está verificado'
+        });
+      }
+
+      const retryAfter = user.getVerificationResendWait(EMAIL_VERIFICATION_RESEND_SECONDS);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Reenvío demasiado pronto',
+          message: `Espera ${retryAfter} segundos antes de solicitar otro correo de verificación`,
+          retryAfter
+        });
+      }
+
+      await sendVerificationEmail(user);
+
+      logger.info(`Correo de verificación enviado: ${user.usuario}`, {
+        userId: user._id,
+        ip: req.ip
+      });
+
+      return res.json({
+        message: 'Correo de verificación enviado',
+        email: user.email
+      });
+    }
+
+    const { isValid, errors, data } = validateData(req.body, authSchemas.forgotPassword);
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    const user = await User.findOne({ email: data.email, isActive: true, isEmailVerified: false });
+
+    // Con el throttling vencido se reenvía; si no, se ignora en silencio como si no existiera
+    if (user && user.getVerificationResendWait(EMAIL_VERIFICATION_RESEND_SECONDS) === 0) {
+      await sendVerificationEmail(user);
+
+      logger.info(`Correo de verificación enviado: ${user.usuario}`, {
+        userId: user._id,
+        ip: req.ip
+      });
+    }
+
+    res.json({
+      message: 'Si existe una cuenta pendiente de verificar con ese email, recibirás un enlace de verificación'
+    });
+
+  } catch (error) {
+    logger.error('Error en send-verification:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// GET|POST /api/auth/verify-email/:token
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Consumir el token de forma atómica: el enlace solo sirve una vez
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $set: {
+          isEmailVerified: true,
+          emailVerificationToken: null,
+          emailVerificationExpires: null
+        }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Token inválido',
+        message: 'El enlace de verificación no es válido o ha caducado'
+      });
+    }
+
+    logger.info(`Email verificado: ${user.usuario}`, {
+      userId: user._id,
+      ip: req.ip
+    });
+
+    res.json({
+      message: 'Email verificado exitosamente',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    logger.error('Error en verify-email:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+};
+
+router.get('/verify-email/:token', validateVerifyEmailToken, verifyEmail);
+router.post('/verify-email/:token', validateVerifyEmailToken, verifyEmail);
+
 // GET /api/auth/me
 router.get('/me', authMiddleware, async (req, res) => {
   res.json({
@@ -361,4 +1295,35 @@ router.get('/verify-token', authMiddleware, async (req, res) => {
   });
 });
 
+// POST /api/auth/introspect - Introspección de tokens para servicios (RFC 7662)
+router.post('/introspect', introspectLimiter, clientAuthMiddleware, async (req, res, next) => {
+  try {
+    const { token, token_type_hint: tokenTypeHint } = req.body;
+
+    res.set('Cache-Control', 'no-store');
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'invalid_request',
+        message: 'El parámetro token es requerido'
+      });
+    }
+
+    const result = await introspectToken(token, tokenTypeHint);
+
+    logger.debug('Introspección de token', {
+      clientId: req.client.id,
+      active: result.active,
+      tokenType: result.token_type,
+      userId: result.sub
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Error en introspección de token:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,102 @@
+const express = require('express');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const { authMiddleware, requirePermissions } = require('../middleware/auth');
+const { validateCreatePermission, validatePermissionName } = require('../utils/validation');
+const { logger, logSecurity } = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { createError } = require('../utils/errors');
+
+const router = express.Router();
+
+// GET /api/permissions - Listar permisos
+router.get('/', authMiddleware, requirePermissions(['roles:read']), async (req, res, next) => {
+  try {
+    const permissions = await Permission.find().sort({ name: 1 });
+
+    res.json({ permissions });
+
+  } catch (error) {
+    logger.error('Error listando permisos:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/permissions - Crear permiso (p. ej. para que otro servicio lo compruebe en el gateway)
+router.post('/', authMiddleware, requirePermissions(['roles:manage']), validateCreatePermission, async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    if (await Permission.exists({ name })) {
+      return res.status(409).json({
+        error: 'Permiso ya existe',
+        message: `Ya existe un permiso con el nombre ${name}`
+      });
+    }
+
+    const permission = await Permission.create({ name, description });
+
+    logSecurity('Permiso creado', {
+      adminId: req.user._id,
+      permission: name,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'permission.created', { details: { permission: name } });
+
+    res.status(201).json({
+      message: 'Permiso creado exitosamente',
+      permission
+    });
+
+  } catch (error) {
+    logger.error('Error creando permiso:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// DELETE /api/permissions/:name - Eliminar un permiso que no sea del sistema ni esté en ningún rol
+router.delete('/:name', authMiddleware, requirePermissions(['roles:manage']), validatePermissionName, async (req, res, next) => {
+  try {
+    const permission = await Permission.findOne({ name: req.params.name });
+
+    if (!permission) {
+      return res.status(404).json({
+        error: 'Permiso no encontrado'
+      });
+    }
+
+    if (permission.isSystem) {
+      return res.status(400).json({
+        error: 'Acción no permitida',
+        message: 'Los permisos del sistema no se pueden eliminar'
+      });
+    }
+
+    const roles = await Role.find({ 'permissions.name': permission.name }).distinct('name');
+    if (roles.length > 0) {
+      return res.status(409).json({
+        error: 'Permiso en uso',
+        message: `El permiso está asignado a los roles: ${roles.join(', ')}`
+      });
+    }
+
+    await permission.deleteOne();
+
+    logSecurity('Permiso eliminado', {
+      adminId: req.user._id,
+      permission: permission.name,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'permission.deleted', { details: { permission: permission.name } });
+
+    res.json({
+      message: 'Permiso eliminado exitosamente'
+    });
+
+  } catch (error) {
+    logger.error('Error eliminando permiso:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const User = require('../models/User');
+const { authMiddleware, requirePermissions } = require('../middleware/auth');
+const { validateCreateRole, validateEditRole, validateRoleName } = require('../utils/validation');
+const { invalidateRoleCache, findGrant } = require('../utils/permissions');
+const { logger, logSecurity } = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
+const { createError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Permisos de una lista de concesiones que no existen ("*" siempre es válido)
+const findUnknownPermissions = async (grants) => {
+  const names = grants.map(grant => grant.name).filter(name => name !== '*');
+  const existing = await Permission.find({ name: { $in: names } }).distinct('name');
+  return names.filter(name => !existing.includes(name));
+};
+
+const unknownPermissionsResponse = (res, unknown) => res.status(400).json({
+  error: 'Permisos inválidos',
+  message: `Los permisos no existen: ${unknown.join(', ')}`
+});
+
+// GET /api/roles - Listar roles con el número de usuarios de cada uno
+router.get('/', authMiddleware, requirePermissions(['roles:read']), async (req, res, next) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$rol', count: { $sum: 1 } } }])
+    ]);
+    const usersByRole = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+      roles: roles.map(role => ({ ...role.toJSON(), users: usersByRole.get(role.name) || 0 }))
+    });
+
+  } catch (error) {
+    logger.error('Error listando roles:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// GET /api/roles/:name - Obtener rol
+router.get('/:name', authMiddleware, requirePermissions(['roles:read']), validateRoleName, async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Rol no encontrado'
+      });
+    }
+
+    res.json({ role });
+
+  } catch (error) {
+    logger.error('Error obteniendo rol:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/roles - Crear rol
+router.post('/', authMiddleware, requirePermissions(['roles:manage']), validateCreateRole, async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (await Role.exists({ name })) {
+      return res.status(409).json({
+        error: 'Rol ya existe',
+        message: `Ya existe un rol con el nombre ${name}`
+      });
+    }
+
+    const unknown = await findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return unknownPermissionsResponse(res, unknown);
+    }
+
+    const role = await Role.create({ name, description, permissions });
+    invalidateRoleCache(name);
+
+    logSecurity('Rol creado', {
+      adminId: req.user._id,
+      role: name,
+      permissions,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'role.created', { details: { role: name, permissions } });
+
+    res.status(201).json({
+      message: 'Rol creado exitosamente',
+      role
+    });
+
+  } catch (error) {
+    logger.error('Error creando rol:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// PUT /api/roles/:name - Modificar descripción y/o permisos de un rol
+router.put('/:name', authMiddleware, requirePermissions(['roles:manage']), validateRoleName, validateEditRole, async (req, res, next) => {
+  try {
+    const { description, permissions } = req.body;
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Rol no encontrado'
+      });
+    }
+
+    if (permissions) {
+      const unknown = await findUnknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return unknownPermissionsResponse(res, unknown);
+      }
+
+      // Evitar que quien gestiona los roles se quede sin poder hacerlo
+      if (role.name === req.user.rol && !findGrant(permissions, 'roles:manage')) {
+        return res.status(400).json({
+          error: 'Acción no permitida',
+          message: 'No puedes quitar a tu propio rol el permiso roles:manage'
+        });
+      }
+
+      role.permissions = permissions;
+    }
+
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+    invalidateRoleCache(role.name);
+
+    const grants = role.permissions.map(({ name, scope }) => ({ name, scope }));
+    logSecurity('Rol modificado', {
+      adminId: req.user._id,
+      role: role.name,
+      permissions: grants,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'role.updated', { details: { role: role.name, description: role.description, permissions: grants } });
+
+    res.json({
+      message: 'Rol actualizado exitosamente. Los tokens emitidos mantienen los permisos anteriores hasta que caducan',
+      role
+    });
+
+  } catch (error) {
+    logger.error('Error actualizando rol:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// DELETE /api/roles/:name - Eliminar un rol que no sea del sistema ni tenga usuarios
+router.delete('/:name', authMiddleware, requirePermissions(['roles:manage']), validateRoleName, async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        error: 'Rol no encontrado'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        error: 'Acción no permitida',
+        message: 'Los roles del sistema no se pueden eliminar'
+      });
+    }
+
+    const users = await User.countDocuments({ rol: role.name });
+    if (users > 0) {
+      return res.status(409).json({
+        error: 'Rol en uso',
+        message: `El rol está asignado a ${users} usuarios; cámbiales el rol antes de eliminarlo`
+      });
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache(role.name);
+
+    logSecurity('Rol eliminado', {
+      adminId: req.user._id,
+      role: role.name,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'role.deleted', { details: { role: role.name } });
+
+    res.json({
+      message: 'Rol eliminado exitosamente'
+    });
+
+  } catch (error) {
+    logger.error('Error eliminando rol:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,44 @@
 const express = require('express');
+const ExcelJS = require('exceljs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
-const logger = require('../utils/logger');
+const Role = require('../models/Role');
+const { authMiddleware, requirePermissions } = require('../middleware/auth');
+const {
+  userSchemas,
+  validateData,
+  validateUpdateRole,
+  validatePagination,
+  validateUserExport,
+  validateCreateUser,
+  validateEditUser,
+  validateImportUsers
+} = require('../utils/validation');
+const { DEFAULT_ROLE, findGrant, getScopeFilter, getRolePermissions, canActOnUser } = require('../utils/permissions');
+const { parseCsv, toCsvRow } = require('../utils/csv');
+const { waitForDrain } = require('../utils/stream');
+const { logger, logSecurity, logPasswordChange } = require('../utils/logger');
+const { recordAuditEvent } = require('../utils/audit');
 const { createError } = require('../utils/errors');
 
 const router = express.Router();
 
+// Importación CSV de usuarios: columnas admitidas (rol es opcional) y máximo de filas
+const IMPORT_COLUMNS = ['usuario', 'firstName', 'lastName', 'email', 'departamento', 'rol'];
+const IMPORT_REQUIRED_COLUMNS = IMPORT_COLUMNS.filter(column => column !== 'rol');
+const IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 500;
+
+// Máximo de usuarios por exportación
+const EXPORT_LIMIT = parseInt(process.env.USER_EXPORT_LIMIT) || 50000;
+
+const EXPORT_COLUMNS = [
+  'id', 'usuario', 'firstName', 'lastName', 'email', 'departamento', 'rol',
+  'isActive', 'isEmailVerified', 'twoFactorEnabled', 'locked', 'lastLogin', 'createdAt'
+];
+
+// Campos en los que busca ?search=
+const SEARCH_FIELDS = ['usuario', 'firstName', 'lastName', 'email'];
+
 // Helper para manejar errores de validación
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -32,15 +64,7 @@ const updateProfileValidation = [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Debe ser un email válido'),
-  body('departamento')
-    .optional()
-    .isIn(['administracion', 'compras', 'informatica', 'gerencia', 'rrhh', 'produccion', 'softgel', 'calidad', 'laboratorio', 'mantenimiento', 'oficina_tecnica', 'logistica'])
-    .withMessage('Departamento no válido'),
-  body('rol')
-    .optional()
-    .isIn(['administrador', 'director', 'usuario'])
-    .withMessage('Rol no válido')
+    .withMessage('Debe ser un email válido')
 ];
 
 const changePasswordValidation = [
@@ -64,7 +88,8 @@ router.get('/profile', authMiddleware, async (req, res) => {
 // PUT /api/users/profile - Actualizar perfil del usuario autenticado
 router.put('/profile', authMiddleware, updateProfileValidation, handleValidationErrors, async (req, res, next) => {
   try {
-    const { usuario, email, departamento, rol } = req.body;
+    // rol y departamento no se cambian desde el perfil: determinan qué puede gestionar cada uno
+    const { usuario, email } = req.body;
     const user = req.user;
 
     // Si se está cambiando el usuario, verificar que no exista
@@ -90,12 +115,11 @@ router.put('/profile', authMiddleware, updateProfileValidation, handleValidation
       }
       user.email = email;
       user.isEmailVerified = false; // Requerir verificación del nuevo email
+      // Un enlace enviado a la dirección anterior no debe verificar la nueva
+      user.emailVerificationToken = null;
+      user.emailVerificationExpires = null;
     }
 
-    // Actualizar campos si se proporcionan
-    if (departamento) user.departamento = departamento;
-    if (rol) user.rol = rol;
-
     await user.save();
 
     logger.info(`Perfil actualizado: ${user.email}`, {
@@ -140,16 +164,15 @@ router.put('/change-password', authMiddleware, changePasswordValidation, handleV
 
     // Actualizar contraseña
     user.password = newPassword;
+    user.mustChangePassword = false;
     
     // Revocar todos los refresh tokens por seguridad
     user.refreshTokens = [];
     
     await user.save();
 
-    logger.info(`Contraseña cambiada: ${user.email}`, {
-      userId: user._id,
-      ip: req.ip
-    });
+    logPasswordChange(user._id, user.email, req.ip, { method: 'change' });
+    await recordAuditEvent(req, 'password.changed', { target: user });
 
     res.json({
       message: 'Contraseña actualizada exitosamente. Por favor, inicia sesión nuevamente.'
@@ -175,6 +198,7 @@ router.delete('/account', authMiddleware, async (req, res, next) => {
       userId: user._id,
       ip: req.ip
     });
+    await recordAuditEvent(req, 'account.deleted', { target: user });
 
     res.json({
       message: 'Cuenta eliminada exitosamente'
@@ -186,43 +210,434 @@ router.delete('/account', authMiddleware, async (req, res, next) => {
   }
 });
 
-// === RUTAS DE ADMINISTRADOR ===
+// === RUTAS DE ADMINISTRACIÓN ===
+// Cada ruta exige un permiso y actúa dentro de su ámbito: all (todos los usuarios),
+// department (los del departamento propio) u own (solo uno mismo)
+
+// Cargar un usuario dentro del ámbito del permiso (fuera de él, como si no existiera)
+const findUserInScope = (req, permission) => User.findOne({
+  $and: [getScopeFilter(req.user, findGrant(req.permissions, permission)), { _id: req.params.id }]
+});
+
+// Respuesta cuando el usuario está en el ámbito pero no se puede actuar sobre él
+// (p. ej. un director sobre otro director de su departamento)
+const forbidManage = (res) => res.status(403).json({
+  error: 'Acceso denegado',
+  message: 'No tienes permisos para gestionar a este usuario'
+});
+
+// ¿Puede el gestor dar de alta un usuario con este departamento y rol? Devuelve { field, message }
+// con el motivo si no puede. Un rol distinto del por defecto exige users:assign-role, y con ámbito
+// limitado no se asignan roles que a su vez puedan asignar roles.
+const checkProvisioning = async (req, { departamento, rol }) => {
+  const grant = findGrant(req.permissions, 'users:create');
+  if (grant.scope === 'own') {
+    return { field: 'departamento', message: 'Tu permiso users:create no permite dar de alta a otros usuarios' };
+  }
+  if (grant.scope === 'department' && departamento !== req.user.departamento) {
+    return { field: 'departamento', message: 'Solo puedes dar de alta usuarios de tu departamento' };
+  }
+
+  if (rol !== DEFAULT_ROLE) {
+    const roleGrant = findGrant(req.permissions, 'users:assign-role');
+    if (!roleGrant || (roleGrant.scope !== 'all' && findGrant(await getRolePermissions(rol), 'users:assign-role'))) {
+      return { field: 'rol', message: `No tienes permisos para asignar el rol ${rol}` };
+    }
+  }
+
+  return null;
+};
+
+// Usuario nuevo (sin guardar) a partir de los datos validados con userSchemas.createUser.
+// Sin contraseña se genera una temporal, que solo se devuelve en la respuesta del alta.
+// El email lo aporta el gestor, así que se da por verificado.
+const buildUser = ({ password, mustChangePassword, ...data }) => {
+  const temporaryPassword = password ? null : User.generateTemporaryPassword();
+  const user = new User({
+    ...data,
+    password: password || temporaryPassword,
+    mustChangePassword: !password || mustChangePassword,
+    isEmailVerified: true
+  });
+
+  return { user, temporaryPassword };
+};
+
+// Validar las filas de una importación con las mismas reglas que el alta individual, más
+// usuarios/emails repetidos (en el fichero o ya existentes), roles inexistentes y permisos del gestor
+const validateImportRows = async (req, columns, records) => {
+  const rows = records.map(({ line, values }) => {
+    const raw = Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()]));
+    const { isValid, errors, data } = validateData(raw, userSchemas.createUser);
+
+    const row = {
+      line,
+      usuario: raw.usuario,
+      email: raw.email,
+      errors: isValid ? [] : errors.map(({ field, message }) => ({ field, message })),
+      data
+    };
+    if (values.length > columns.length) {
+      row.errors.push({ field: null, message: 'La fila tiene más columnas que la cabecera' });
+    }
+    return row;
+  });
+
+  const candidates = rows.filter(row => row.data);
+  const [roles, existing] = await Promise.all([
+    Role.distinct('name'),
+    User.find({
+      $or: [
+        { usuario: { $in: candidates.map(row => row.data.usuario) } },
+        { email: { $in: candidates.map(row => row.data.email) } }
+      ]
+    }).select('usuario email').lean()
+  ]);
+  const takenUsuarios = new Set(existing.map(user => user.usuario));
+  const takenEmails = new Set(existing.map(user => user.email));
+  const seenUsuarios = new Map();
+  const seenEmails = new Map();
+
+  for (const row of candidates) {
+    const { usuario, email, departamento, rol } = row.data;
+
+    if (takenUsuarios.has(usuario)) {
+      row.errors.push({ field: 'usuario', message: 'Ya existe una cuenta con este usuario' });
+    } else if (seenUsuarios.has(usuario)) {
+      row.errors.push({ field: 'usuario', message: `Usuario repetido en la línea ${seenUsuarios.get(usuario)}` });
+    } else {
+      seenUsuarios.set(usuario, row.line);
+    }
+
+    if (takenEmails.has(email)) {
+      row.errors.push({ field: 'email', message: 'Ya existe una cuenta con este email' });
+    } else if (seenEmails.has(email)) {
+      row.errors.push({ field: 'email', message: `Email repetido en la línea ${seenEmails.get(email)}` });
+    } else {
+      seenEmails.set(email, row.line);
+    }
+
+    if (!roles.includes(rol)) {
+      row.errors.push({ field: 'rol', message: `El rol ${rol} no existe` });
+    } else {
+      const denied = await checkProvisioning(req, { departamento, rol });
+      if (denied) row.errors.push(denied);
+    }
+  }
 
-// GET /api/users - Listar usuarios (solo admin)
-router.get('/', authMiddleware, adminMiddleware, async (req, res, next) => {
+  return rows;
+};
+
+// Fila del informe de importación (sin los datos validados)
+const serializeImportRow = ({ data, ...row }) => row;
+
+// POST /api/users - Dar de alta un usuario (users:create; un rol distinto de usuario requiere users:assign-role)
+router.post('/', authMiddleware, requirePermissions(['users:create']), validateCreateUser, async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    const filter = {};
-    
-    // Filtros opcionales
-    if (req.query.role) filter.role = req.query.role;
-    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
-    if (req.query.search) {
-      filter.$or = [
-        { email: { $regex: req.query.search, $options: 'i' } },
-        { usuario: { $regex: req.query.search, $options: 'i' } },
-        { departamento: { $regex: req.query.search, $options: 'i' } }
-      ];
+    const { usuario, email, departamento, rol } = req.body;
+
+    if (!(await Role.exists({ name: rol }))) {
+      return res.status(400).json({
+        error: 'Rol inválido',
+        message: `El rol ${rol} no existe`
+      });
+    }
+
+    const denied = await checkProvisioning(req, { departamento, rol });
+    if (denied) {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: denied.message
+      });
+    }
+
+    const existingUser = await User.findOne({ $or: [{ usuario }, { email }] });
+    if (existingUser) {
+      return res.status(409).json({
+        error: 'El usuario ya existe',
+        message: 'Ya existe una cuenta con este usuario o email'
+      });
+    }
+
+    const { user, temporaryPassword } = buildUser(req.body);
+    await user.save();
+
+    logSecurity(`Usuario dado de alta: ${user.usuario} (${user.rol})`, {
+      adminId: req.user._id,
+      targetUserId: user._id,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'user.created', {
+      target: user,
+      details: { rol: user.rol, source: 'manual', temporaryPassword: Boolean(temporaryPassword) }
+    });
+
+    // La respuesta puede incluir la contraseña temporal
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json({
+      message: 'Usuario creado exitosamente',
+      user: user.toJSON(),
+      ...(temporaryPassword && { temporaryPassword })
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'El usuario ya existe',
+        message: 'Ya existe una cuenta con este usuario o email'
+      });
+    }
+
+    logger.error('Error creando usuario:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// POST /api/users/import - Alta masiva desde un CSV (Content-Type: text/csv) con las columnas
+// usuario, firstName, lastName, email, departamento y rol (opcional). Por defecto solo valida y
+// devuelve el informe por fila (?dryRun=true); con ?dryRun=false crea los usuarios si todas las
+// filas son válidas, con contraseñas temporales que se cambian en el primer login.
+router.post('/import',
+  authMiddleware,
+  requirePermissions(['users:create']),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  validateImportUsers,
+  async (req, res, next) => {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({
+          error: 'CSV requerido',
+          message: 'Envía el fichero CSV en el cuerpo de la petición con Content-Type: text/csv'
+        });
+      }
+
+      let records;
+      try {
+        records = parseCsv(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'CSV inválido',
+          message: error.message
+        });
+      }
+
+      const columns = records.shift().values.map(column => column.trim());
+      const missing = IMPORT_REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+      const unknown = columns.filter(column => !IMPORT_COLUMNS.includes(column));
+      if (missing.length > 0 || unknown.length > 0) {
+        return res.status(400).json({
+          error: 'Columnas inválidas',
+          message: `La cabecera debe contener las columnas ${IMPORT_COLUMNS.join(', ')} (rol es opcional)`,
+          missing,
+          unknown
+        });
+      }
+
+      if (records.length === 0 || records.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+          error: 'Número de filas inválido',
+          message: `El CSV debe contener entre 1 y ${IMPORT_MAX_ROWS} usuarios`
+        });
+      }
+
+      const rows = await validateImportRows(req, columns, records);
+      const invalid = rows.filter(row => row.errors.length > 0).length;
+      const summary = { total: rows.length, valid: rows.length - invalid, invalid };
+
+      if (req.query.dryRun || invalid > 0) {
+        return res.status(req.query.dryRun ? 200 : 422).json({
+          message: invalid > 0
+            ? 'Hay filas con errores: corrígelas y vuelve a enviar el fichero'
+            : 'Todas las filas son válidas: envía el fichero con ?dryRun=false para crear los usuarios',
+          dryRun: true,
+          summary,
+          rows: rows.map(row => ({ ...serializeImportRow(row), status: row.errors.length > 0 ? 'invalid' : 'valid' }))
+        });
+      }
+
+      // Alta fila a fila: una fila que falle (p. ej. un usuario creado entretanto) no deshace las demás
+      const results = [];
+      for (const row of rows) {
+        const result = serializeImportRow(row);
+        try {
+          const { user, temporaryPassword } = buildUser(row.data);
+          await user.save();
+          await recordAuditEvent(req, 'user.created', {
+            target: user,
+            details: { rol: user.rol, source: 'import', temporaryPassword: true }
+          });
+          results.push({ ...result, status: 'created', userId: user._id, temporaryPassword });
+        } catch (error) {
+          const message = error.code === 11000
+            ? 'Ya existe una cuenta con este usuario o email'
+            : 'Error interno del servidor';
+          if (error.code !== 11000) {
+            logger.error(`Error importando usuario (línea ${row.line}):`, error);
+          }
+          results.push({ ...result, status: 'failed', errors: [{ field: null, message }] });
+        }
+      }
+
+      const created = results.filter(result => result.status === 'created').length;
+      logSecurity(`Importación de usuarios: ${created} de ${results.length} creados`, {
+        adminId: req.user._id,
+        ip: req.ip
+      });
+
+      // La respuesta incluye las contraseñas temporales
+      res.set('Cache-Control', 'no-store');
+      res.status(created > 0 ? 201 : 409).json({
+        message: `${created} de ${results.length} usuarios creados`,
+        dryRun: false,
+        summary: { total: results.length, created, failed: results.length - created },
+        rows: results
+      });
+
+    } catch (error) {
+      logger.error('Error importando usuarios:', error);
+      next(createError(500, 'Error interno del servidor'));
+    }
+  }
+);
+
+// Escapar un texto para usarlo como literal dentro de una expresión regular
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Filtro de MongoDB a partir de la query (listado y exportación), acotado al ámbito de users:read.
+// Cada palabra de ?search= se busca como texto literal en alguno de SEARCH_FIELDS.
+const buildUserFilter = (req) => {
+  const { search, rol, departamento, isActive, isEmailVerified, locked, lastLoginFrom, lastLoginTo } = req.query;
+  const conditions = [];
+
+  if (search) {
+    for (const term of search.split(/\s+/).filter(Boolean)) {
+      const pattern = new RegExp(escapeRegex(term), 'i');
+      conditions.push({ $or: SEARCH_FIELDS.map(field => ({ [field]: pattern })) });
+    }
+  }
+  if (rol) conditions.push({ rol });
+  if (departamento) conditions.push({ departamento });
+  if (isActive !== undefined) conditions.push({ isActive });
+  if (isEmailVerified !== undefined) conditions.push({ isEmailVerified });
+  if (locked !== undefined) {
+    const now = new Date();
+    conditions.push(locked
+      ? { lockUntil: { $gt: now } }
+      : { $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] });
+  }
+  if (lastLoginFrom || lastLoginTo) {
+    conditions.push({
+      lastLogin: {
+        ...(lastLoginFrom && { $gte: lastLoginFrom }),
+        ...(lastLoginTo && { $lte: lastLoginTo })
+      }
+    });
+  }
+
+  // El ámbito del permiso prevalece sobre el filtro de departamento pedido
+  conditions.push(getScopeFilter(req.user, findGrant(req.permissions, 'users:read')));
+
+  return { $and: conditions };
+};
+
+// Orden de MongoDB a partir de ?sort= ('-campo' descendente), con _id para desempatar
+const parseSort = (sort) => {
+  const field = sort.replace(/^-/, '');
+  const direction = sort.startsWith('-') ? -1 : 1;
+  return { field, direction, sort: { [field]: direction, _id: direction } };
+};
+
+// Cursor opaco con la posición del último usuario devuelto: [valor del campo de orden, _id]
+const encodeCursor = (user, field) => Buffer.from(JSON.stringify([user[field], user._id])).toString('base64url');
+
+// Condición "posterior al cursor" según el orden; null si el cursor no es válido para ese orden
+const cursorCondition = (cursor, { field, direction }) => {
+  let value;
+  let id;
+  try {
+    [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (field === 'createdAt') {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) return null;
+  } else if (typeof value !== 'string') {
+    return null;
+  }
+  if (typeof id !== 'string' || !/^[0-9a-f]{24}$/.test(id)) {
+    return null;
+  }
+
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Fila de la exportación (mismas claves que EXPORT_COLUMNS)
+const toExportRecord = (user, now) => ({
+  id: user._id.toString(),
+  usuario: user.usuario,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  departamento: user.departamento,
+  rol: user.rol,
+  isActive: user.isActive,
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  locked: Boolean(user.lockUntil && user.lockUntil > now),
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+// GET /api/users - Listar usuarios (users:read)
+// Filtros: ?search=&rol=&departamento=&isActive=&isEmailVerified=&locked=&lastLoginFrom=&lastLoginTo=
+// Paginación por ?page= o, para recorrer listados grandes sin saltos, por ?cursor= (pagination.nextCursor)
+router.get('/', authMiddleware, requirePermissions(['users:read']), validatePagination, async (req, res, next) => {
+  try {
+    const { page, limit, cursor } = req.query;
+    const order = parseSort(req.query.sort);
+    const filter = buildUserFilter(req);
+
+    let query = filter;
+    if (cursor) {
+      const after = cursorCondition(cursor, order);
+      if (!after) {
+        return res.status(400).json({
+          error: 'Cursor inválido',
+          message: 'El cursor no es válido para este orden; vuelve a empezar sin cursor'
+        });
+      }
+      query = { $and: [filter, after] };
     }
 
-    const users = await User.find(filter)
-      .select('-password -refreshTokens')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // Uno más de los pedidos para saber si hay página siguiente
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-password -refreshTokens')
+        .sort(order.sort)
+        .skip(cursor ? 0 : (page - 1) * limit)
+        .limit(limit + 1),
+      User.countDocuments(filter)
+    ]);
 
-    const total = await User.countDocuments(filter);
+    const hasMore = users.length > limit;
+    if (hasMore) users.pop();
 
     res.json({
       users,
       pagination: {
-        page,
+        ...(!cursor && { page }),
         limit,
         total,
-        pages: Math.ceil(total / limit)
+        ...(!cursor && { pages: Math.ceil(total / limit) }),
+        nextCursor: hasMore ? encodeCursor(users[users.length - 1], order.field) : null
       }
     });
 
@@ -232,10 +647,92 @@ router.get('/', authMiddleware, adminMiddleware, async (req, res, next) => {
   }
 });
 
-// GET /api/users/:id - Obtener usuario por ID (solo admin)
-router.get('/:id', authMiddleware, adminMiddleware, async (req, res, next) => {
+// GET /api/users/export - Descargar el directorio de usuarios (?format=csv|xlsx|json, mismos filtros
+// y orden que el listado). Se envía en streaming desde un cursor, sin cargarlo todo en memoria.
+router.get('/export', authMiddleware, requirePermissions(['users:read']), validateUserExport, async (req, res, next) => {
+  const { format } = req.query;
+  const cursor = User.find(buildUserFilter(req))
+    .select('usuario firstName lastName email departamento rol isActive isEmailVerified twoFactor.enabled lockUntil lastLogin createdAt')
+    .sort(parseSort(req.query.sort).sort)
+    .limit(EXPORT_LIMIT)
+    .lean()
+    .cursor();
+
+  res.on('close', () => cursor.close().catch(() => {}));
+
   try {
-    const user = await User.findById(req.params.id).select('-password -refreshTokens');
+    const contentTypes = {
+      csv: 'text/csv; charset=utf-8',
+      xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      json: 'application/json; charset=utf-8'
+    };
+    const fileName = `usuarios-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Type', contentTypes[format]);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.set('Cache-Control', 'no-store');
+
+    const now = new Date();
+    let count = 0;
+
+    if (format === 'xlsx') {
+      // El libro se comprime y escribe en la respuesta a medida que se confirman las filas
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet('Usuarios');
+      sheet.columns = EXPORT_COLUMNS.map(key => ({ header: key, key }));
+
+      for await (const user of cursor) {
+        if (res.destroyed) {
+          break;
+        }
+        sheet.addRow(toExportRecord(user, now)).commit();
+        count++;
+      }
+
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      // BOM para que Excel detecte UTF-8
+      res.write(format === 'csv' ? `\uFEFF${toCsvRow(EXPORT_COLUMNS)}` : '[');
+
+      for await (const user of cursor) {
+        if (res.destroyed) {
+          break;
+        }
+
+        const record = toExportRecord(user, now);
+        const chunk = format === 'csv'
+          ? toCsvRow(EXPORT_COLUMNS.map(column => record[column]))
+          : `${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`;
+        count++;
+
+        if (!res.write(chunk)) {
+          await waitForDrain(res);
+        }
+      }
+
+      res.end(format === 'csv' ? '' : '\n]\n');
+    }
+
+    logger.info(`Directorio de usuarios exportado (${format}): ${count} usuarios`, {
+      userId: req.user._id,
+      ip: req.ip
+    });
+
+  } catch (error) {
+    logger.error('Error exportando usuarios:', error);
+
+    // Con la descarga ya empezada solo se puede cortar la conexión
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// GET /api/users/:id - Obtener usuario por ID (users:read)
+router.get('/:id', authMiddleware, requirePermissions(['users:read']), async (req, res, next) => {
+  try {
+    const user = await findUserInScope(req, 'users:read').select('-password -refreshTokens');
     
     if (!user) {
       return res.status(404).json({
@@ -257,19 +754,80 @@ router.get('/:id', authMiddleware, adminMiddleware, async (req, res, next) => {
   }
 });
 
-// PUT /api/users/:id/role - Actualizar rol de usuario (solo admin)
-router.put('/:id/role', authMiddleware, adminMiddleware, async (req, res, next) => {
+// PATCH /api/users/:id - Editar nombre, apellido y/o departamento (users:manage).
+// Cambiar el departamento saca al usuario del ámbito department, así que requiere ámbito all.
+router.patch('/:id', authMiddleware, requirePermissions(['users:manage']), validateEditUser, async (req, res, next) => {
   try {
-    const { role } = req.body;
-    
-    if (!['user', 'admin', 'moderator'].includes(role)) {
+    const user = await findUserInScope(req, 'users:manage');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!(await canActOnUser(req.user, req.permissions, 'users:manage', user))) {
+      return forbidManage(res);
+    }
+
+    const { departamento } = req.body;
+    if (departamento && departamento !== user.departamento && findGrant(req.permissions, 'users:manage').scope !== 'all') {
+      return res.status(403).json({
+        error: 'Acceso denegado',
+        message: 'No tienes permisos para cambiar el departamento de un usuario'
+      });
+    }
+
+    const changes = {};
+    for (const [field, value] of Object.entries(req.body)) {
+      if (user[field] !== value) {
+        changes[field] = { from: user[field], to: value };
+        user[field] = value;
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await user.save();
+
+      logger.info(`Usuario actualizado: ${user.email}`, {
+        adminId: req.user._id,
+        targetUserId: user._id,
+        fields: Object.keys(changes),
+        ip: req.ip
+      });
+      await recordAuditEvent(req, 'user.updated', { target: user, details: { changes } });
+    }
+
+    res.json({
+      message: 'Usuario actualizado exitosamente',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'ID de usuario inválido'
+      });
+    }
+
+    logger.error('Error actualizando usuario:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// PUT /api/users/:id/role - Actualizar rol de usuario (users:assign-role)
+router.put('/:id/role', authMiddleware, requirePermissions(['users:assign-role']), validateUpdateRole, async (req, res, next) => {
+  try {
+    const { rol } = req.body;
+
+    if (!(await Role.exists({ name: rol }))) {
       return res.status(400).json({
         error: 'Rol inválido',
-        message: 'El rol debe ser: user, admin o moderator'
+        message: `El rol ${rol} no existe`
       });
     }
 
-    const user = await User.findById(req.params.id);
+    const user = await findUserInScope(req, 'users:assign-role');
     
     if (!user) {
       return res.status(404).json({
@@ -277,22 +835,28 @@ router.put('/:id/role', authMiddleware, adminMiddleware, async (req, res, next)
       });
     }
 
-    // No permitir que un admin se quite sus propios permisos
-    if (user._id.toString() === req.user._id.toString() && role !== 'admin') {
+    // No permitir que nadie cambie sus propios permisos
+    if (user._id.toString() === req.user._id.toString()) {
       return res.status(400).json({
         error: 'Acción no permitida',
-        message: 'No puedes cambiar tu propio rol de administrador'
+        message: 'No puedes cambiar tu propio rol'
       });
     }
 
-    user.role = role;
+    if (!(await canActOnUser(req.user, req.permissions, 'users:assign-role', user))) {
+      return forbidManage(res);
+    }
+
+    const previousRol = user.rol;
+    user.rol = rol;
     await user.save();
 
-    logger.info(`Rol actualizado: ${user.email} -> ${role}`, {
+    logSecurity(`Rol actualizado: ${user.email} ${previousRol} -> ${rol}`, {
       adminId: req.user._id,
       targetUserId: user._id,
       ip: req.ip
     });
+    await recordAuditEvent(req, 'user.role_changed', { target: user, details: { from: previousRol, to: rol } });
 
     res.json({
       message: 'Rol actualizado exitosamente',
@@ -311,8 +875,8 @@ router.put('/:id/role', authMiddleware, adminMiddleware, async (req, res, next)
   }
 });
 
-// PUT /api/users/:id/status - Activar/desactivar usuario (solo admin)
-router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res, next) => {
+// PUT /api/users/:id/status - Activar/desactivar usuario (users:manage)
+router.put('/:id/status', authMiddleware, requirePermissions(['users:manage']), async (req, res, next) => {
   try {
     const { isActive } = req.body;
     
@@ -323,7 +887,7 @@ router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res, next
       });
     }
 
-    const user = await User.findById(req.params.id);
+    const user = await findUserInScope(req, 'users:manage');
     
     if (!user) {
       return res.status(404).json({
@@ -331,6 +895,10 @@ router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res, next
       });
     }
 
+    if (!(await canActOnUser(req.user, req.permissions, 'users:manage', user))) {
+      return forbidManage(res);
+    }
+
     // No permitir que un admin se desactive a sí mismo
     if (user._id.toString() === req.user._id.toString() && !isActive) {
       return res.status(400).json({
@@ -353,6 +921,7 @@ router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res, next
       targetUserId: user._id,
       ip: req.ip
     });
+    await recordAuditEvent(req, 'user.status_changed', { target: user, details: { isActive } });
 
     res.json({
       message: `Usuario ${isActive ? 'activado' : 'desactivado'} exitosamente`,
@@ -371,4 +940,124 @@ router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res, next
   }
 });
 
+// GET /api/users/:id/sessions - Sesiones activas de un usuario (users:manage)
+router.get('/:id/sessions', authMiddleware, requirePermissions(['users:manage']), async (req, res, next) => {
+  try {
+    const user = await findUserInScope(req, 'users:manage');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!(await canActOnUser(req.user, req.permissions, 'users:manage', user))) {
+      return forbidManage(res);
+    }
+
+    res.json({
+      userId: user._id,
+      sessions: user.getActiveSessions()
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'ID de usuario inválido'
+      });
+    }
+
+    logger.error('Error obteniendo sesiones:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// DELETE /api/users/:id/sessions - Cerrar todas las sesiones de un usuario (users:manage)
+router.delete('/:id/sessions', authMiddleware, requirePermissions(['users:manage']), async (req, res, next) => {
+  try {
+    const user = await findUserInScope(req, 'users:manage');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!(await canActOnUser(req.user, req.permissions, 'users:manage', user))) {
+      return forbidManage(res);
+    }
+
+    const revoked = user.getActiveSessions().length;
+    user.refreshTokens = [];
+    await user.save();
+
+    logSecurity('Sesiones cerradas por un gestor', {
+      adminId: req.user._id,
+      targetUserId: user._id,
+      revoked,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'token.revoked', { target: user, details: { reason: 'admin_revoke', revoked } });
+
+    res.json({
+      message: 'Sesiones cerradas exitosamente',
+      revoked
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'ID de usuario inválido'
+      });
+    }
+
+    logger.error('Error cerrando sesiones:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
+// DELETE /api/users/:id/2fa - Restablecer la verificación en dos pasos (users:manage)
+// Para usuarios que han perdido el dispositivo y los códigos de recuperación. Si su rol
+// exige 2FA, el siguiente login les pedirá configurarla de nuevo.
+router.delete('/:id/2fa', authMiddleware, requirePermissions(['users:manage']), async (req, res, next) => {
+  try {
+    const user = await findUserInScope(req, 'users:manage');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (!(await canActOnUser(req.user, req.permissions, 'users:manage', user))) {
+      return forbidManage(res);
+    }
+
+    user.resetTwoFactor();
+    await user.save();
+
+    logSecurity('2FA restablecido por un gestor', {
+      adminId: req.user._id,
+      targetUserId: user._id,
+      ip: req.ip
+    });
+    await recordAuditEvent(req, 'user.two_factor_reset', { target: user });
+
+    res.json({
+      message: 'Verificación en dos pasos restablecida exitosamente',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'ID de usuario inválido'
+      });
+    }
+
+    logger.error('Error restableciendo 2FA:', error);
+    next(createError(500, 'Error interno del servidor'));
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Migrar el campo `role` heredado a `rol`.
+// Versiones anteriores de PUT /api/users/:id/role escribían `role` (user/moderator/admin), que
+// nada leía. Este script lo elimina y, donde falta `rol`, lo rellena con el equivalente.
+// Si ambos existen y no coinciden se conserva `rol` (el que se ha aplicado siempre) y se
+// informa del conflicto, salvo con --prefer-role.
+//
+//   npm run migrate:roles                  # solo muestra los cambios
+//   npm run migrate:roles -- --apply       # los aplica
+//   npm run migrate:roles -- --apply --prefer-role
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+const ROLE_MAP = {
+  admin: 'administrador',
+  administrator: 'administrador',
+  moderator: 'director',
+  user: 'usuario',
+  administrador: 'administrador',
+  director: 'director',
+  usuario: 'usuario'
+};
+const VALID_ROLES = ['administrador', 'director', 'usuario'];
+
+const apply = process.argv.includes('--apply');
+const preferRole = process.argv.includes('--prefer-role');
+
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/auth';
+  await mongoose.connect(mongoURI);
+
+  const users = mongoose.connection.collection('users');
+  const cursor = users.find({ role: { $exists: true } }, { projection: { email: 1, role: 1, rol: 1 } });
+
+  const operations = [];
+  const conflicts = [];
+
+  for await (const doc of cursor) {
+    const mapped = ROLE_MAP[String(doc.role).toLowerCase()];
+    const hasValidRol = VALID_ROLES.includes(doc.rol);
+    const update = { $unset: { role: '' } };
+
+    if (!hasValidRol) {
+      // Sin equivalente conocido se asigna el rol con menos privilegios
+      update.$set = { rol: mapped || 'usuario' };
+    } else if (mapped && mapped !== doc.rol) {
+      if (preferRole) {
+        update.$set = { rol: mapped };
+      } else {
+        conflicts.push(doc);
+      }
+    }
+
+    const change = update.$set ? `rol ${doc.rol || '(ninguno)'} -> ${update.$set.rol}` : `rol ${doc.rol} (sin cambios)`;
+    console.log(`${doc.email}: role=${doc.role}, ${change}`);
+    operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+  }
+
+  if (conflicts.length > 0) {
+    console.log(`\n⚠️  ${conflicts.length} usuarios con role y rol distintos; se conserva rol (usa --prefer-role para aplicar role):`);
+    conflicts.forEach(doc => console.log(`   ${doc.email}: role=${doc.role}, rol=${doc.rol}`));
+  }
+
+  if (operations.length === 0) {
+    console.log('✅ No hay documentos con el campo role');
+  } else if (apply) {
+    const result = await users.bulkWrite(operations);
+    console.log(`\n✅ Migrados ${result.modifiedCount} usuarios`);
+  } else {
+    console.log(`\n${operations.length} usuarios por migrar. Ejecuta con --apply para aplicar los cambios.`);
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error(`❌ Error en la migración: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
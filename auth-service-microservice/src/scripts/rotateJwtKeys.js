@@ -0,0 +1,19 @@
+// Rotar la clave de firma JWT: genera una clave nueva en JWT_KEYS_DIR y la deja activa.
+// Las réplicas en marcha la recogen en su siguiente recarga (JWT_KEYS_RELOAD_INTERVAL).
+//
+//   npm run keys:rotate            # algoritmo de JWT_ALGORITHM (RS256 por defecto)
+//   npm run keys:rotate -- ES256
+require('dotenv').config();
+
+const { rotateSigningKey } = require('../utils/jwtKeys');
+
+try {
+  const { kid, alg, retired } = rotateSigningKey(process.argv[2] || process.env.JWT_ALGORITHM || 'RS256');
+  console.log(`✅ Nueva clave de firma activa: ${kid} (${alg})`);
+  if (retired) {
+    console.log(`   Clave retirada: ${retired} (se publica hasta que caduquen sus tokens)`);
+  }
+} catch (error) {
+  console.error(`❌ Error rotando la clave de firma: ${error.message}`);
+  process.exit(1);
+}
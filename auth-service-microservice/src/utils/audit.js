@@ -0,0 +1,40 @@
+const AuditEvent = require('../models/AuditEvent');
+const { getRequestId } = require('./requestContext');
+const { logger } = require('./logger');
+
+// Referencia a un usuario para el evento (null si no hay usuario)
+const toUserRef = (user) => {
+  if (!user) {
+    return null;
+  }
+  return {
+    userId: user._id,
+    usuario: user.usuario,
+    departamento: user.departamento
+  };
+};
+
+// Registrar un evento de auditoría de la petición en curso.
+// El actor por defecto es el usuario autenticado (req.user). Nunca lanza: un fallo al
+// escribir la auditoría se registra en el log pero no rompe la petición.
+const recordAuditEvent = async (req, type, { actor = req.user, target = null, outcome = 'success', details = {} } = {}) => {
+  try {
+    await AuditEvent.create({
+      type,
+      outcome,
+      actor: toUserRef(actor),
+      target: toUserRef(target),
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      requestId: getRequestId() || null,
+      details
+    });
+  } catch (error) {
+    logger.error(`Error registrando evento de auditoría ${type}:`, { error: error.message });
+  }
+};
+
+module.exports = {
+  recordAuditEvent,
+  toUserRef
+};
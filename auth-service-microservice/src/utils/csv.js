@@ -0,0 +1,90 @@
+// Utilidades CSV (RFC 4180) para exportaciones e importaciones
+
+// Valores que una hoja de cálculo interpretaría como fórmula (inyección CSV)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escapar un valor: comillas si hace falta y prefijo ' para neutralizar fórmulas
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Línea CSV (terminada en CRLF) a partir de una lista de valores
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+// Separador de un CSV según su primera línea: Excel en español exporta con ';'
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+};
+
+// Parsear un CSV a una lista de filas { line, values } (line: número de línea donde empieza).
+// Se ignoran el BOM y las líneas vacías; lanza un error si hay comillas sin cerrar.
+const parseCsv = (text, delimiter) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(value);
+    if (values.length > 1 || values[0] !== '') {
+      rows.push({ line: rowLine, values });
+    }
+    values = [];
+    value = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === separator) {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Comillas sin cerrar en la línea ${rowLine}`);
+  }
+  endRow();
+
+  return rows;
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv
+};
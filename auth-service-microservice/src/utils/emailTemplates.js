@@ -0,0 +1,63 @@
+// Plantillas de correo: cada una devuelve { subject, text, html }
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Vigencia legible: "24 horas", "1 hora", "90 minutos"
+const formatDuration = (minutes) => {
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} ${hours === 1 ? 'hora' : 'horas'}`;
+  }
+  return `${minutes} minutos`;
+};
+
+// Correo de restablecimiento de contraseña
+const passwordResetEmail = ({ user, resetUrl, expiresMinutes }) => ({
+  subject: 'Restablecer contraseña',
+  text: [
+    `Hola ${user.firstName},`,
+    '',
+    'Hemos recibido una solicitud para restablecer la contraseña de tu cuenta.',
+    `Abre el siguiente enlace para elegir una nueva (caduca en ${expiresMinutes} minutos):`,
+    '',
+    resetUrl,
+    '',
+    'Si no has sido tú, ignora este correo: tu contraseña no cambiará.'
+  ].join('\n'),
+  html: `
+    <p>Hola ${escapeHtml(user.firstName)},</p>
+    <p>Hemos recibido una solicitud para restablecer la contraseña de tu cuenta.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Elegir una nueva contraseña</a> (el enlace caduca en ${expiresMinutes} minutos).</p>
+    <p>Si no has sido tú, ignora este correo: tu contraseña no cambiará.</p>
+  `
+});
+
+// Correo de verificación de email
+const emailVerificationEmail = ({ user, verifyUrl, expiresMinutes }) => ({
+  subject: 'Verifica tu email',
+  text: [
+    `Hola ${user.firstName},`,
+    '',
+    `Confirma que ${user.email} es tu dirección de correo abriendo el siguiente enlace (caduca en ${formatDuration(expiresMinutes)}):`,
+    '',
+    verifyUrl,
+    '',
+    'Si no has creado una cuenta, ignora este correo.'
+  ].join('\n'),
+  html: `
+    <p>Hola ${escapeHtml(user.firstName)},</p>
+    <p>Confirma que ${escapeHtml(user.email)} es tu dirección de correo.</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Verificar email</a> (el enlace caduca en ${formatDuration(expiresMinutes)}).</p>
+    <p>Si no has creado una cuenta, ignora este correo.</p>
+  `
+});
+
+module.exports = {
+  escapeHtml,
+  passwordResetEmail,
+  emailVerificationEmail
+};
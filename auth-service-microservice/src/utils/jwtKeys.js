@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+// Claves asimétricas para firmar los access tokens (RS256 o ES256).
+//
+// JWT_KEYS_DIR contiene un keys.json con los metadatos y un <kid>.pem (PKCS#8) por clave:
+//   { "activeKid": "...", "keys": [{ "kid", "alg", "createdAt", "retiredAt" }] }
+// La clave activa firma los tokens nuevos. Al rotar, la anterior queda retirada pero su clave
+// pública se sigue publicando en el JWKS hasta que caducan los tokens que firmó.
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+const RELOAD_INTERVAL = parseInt(process.env.JWT_KEYS_RELOAD_INTERVAL) || 60 * 1000;
+// Margen para relojes desajustados al decidir si una clave retirada ya no hace falta
+const CLOCK_SKEW_SECONDS = 60;
+
+const getKeysDir = () => process.env.JWT_KEYS_DIR || path.join(process.cwd(), 'keys');
+const getMetadataPath = () => path.join(getKeysDir(), 'keys.json');
+
+// Duración de JWT_EXPIRES_IN en segundos ("3600", "45m", "1h", "7d")
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Duración no válida: ${value}`);
+  }
+  const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * units[match[2]];
+};
+
+const getAccessTokenLifetime = () => parseDuration(process.env.JWT_EXPIRES_IN || '1h');
+
+// kid = huella JWK de la clave pública (RFC 7638)
+const computeKid = (publicJwk) => {
+  const members = publicJwk.kty === 'RSA'
+    ? { e: publicJwk.e, kty: publicJwk.kty, n: publicJwk.n }
+    : { crv: publicJwk.crv, kty: publicJwk.kty, x: publicJwk.x, y: publicJwk.y };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+const generateKeyPair = (alg) => {
+  if (alg === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+};
+
+// Claves cargadas: kid -> { kid, alg, privateKey, publicKey, publicJwk, createdAt, retiredAt }
+let keys = new Map();
+let activeKid = null;
+let reloadTimer = null;
+
+const readMetadata = () => {
+  try {
+    return JSON.parse(fs.readFileSync(getMetadataPath(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { activeKid: null, keys: [] };
+    }
+    throw error;
+  }
+};
+
+// Escritura atómica de keys.json (fichero temporal + rename)
+const writeMetadata = (metadata) => {
+  const metadataPath = getMetadataPath();
+  const tmpPath = `${metadataPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(metadata, null, 2));
+  fs.renameSync(tmpPath, metadataPath);
+};
+
+// ¿Puede quedar algún token válido firmado con una clave retirada?
+const isRetiredKeyExpired = (entry, now = Date.now()) => {
+  if (!entry.retiredAt) {
+    return false;
+  }
+  // Otras réplicas pueden seguir firmando con ella hasta su siguiente recarga
+  const lifetimeMs = (getAccessTokenLifetime() + CLOCK_SKEW_SECONDS) * 1000 + RELOAD_INTERVAL;
+  return new Date(entry.retiredAt).getTime() + lifetimeMs < now;
+};
+
+// Cargar (o recargar) las claves de JWT_KEYS_DIR
+const loadKeys = () => {
+  const metadata = readMetadata();
+  const loaded = new Map();
+
+  for (const entry of metadata.keys) {
+    if (isRetiredKeyExpired(entry)) {
+      continue;
+    }
+
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(getKeysDir(), `${entry.kid}.pem`)));
+    const publicKey = crypto.createPublicKey(privateKey);
+    loaded.set(entry.kid, {
+      kid: entry.kid,
+      alg: entry.alg,
+      privateKey,
+      publicKey,
+      publicJwk: publicKey.export({ format: 'jwk' }),
+      createdAt: entry.createdAt,
+      retiredAt: entry.retiredAt || null
+    });
+  }
+
+  if (!metadata.activeKid || !loaded.has(metadata.activeKid)) {
+    throw new Error(`No hay clave de firma activa en ${getKeysDir()}`);
+  }
+
+  keys = loaded;
+  activeKid = metadata.activeKid;
+  return { activeKid, kids: [...keys.keys()] };
+};
+
+// Generar una clave nueva y hacerla activa; la anterior queda retirada.
+// Las claves retiradas cuyos tokens ya han caducado se eliminan del disco.
+const rotateSigningKey = (alg = process.env.JWT_ALGORITHM || 'RS256') => {
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Algoritmo JWT no soportado: ${alg} (usa ${SUPPORTED_ALGORITHMS.join(' o ')})`);
+  }
+
+  const dir = getKeysDir();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const { privateKey, publicKey } = generateKeyPair(alg);
+  const kid = computeKid(publicKey.export({ format: 'jwk' }));
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  const metadata = readMetadata();
+  const now = new Date().toISOString();
+
+  const remaining = metadata.keys
+    .map(entry => (entry.kid === metadata.activeKid && !entry.retiredAt ? { ...entry, retiredAt: now } : entry))
+    .filter(entry => {
+      if (!isRetiredKeyExpired(entry)) {
+        return true;
+      }
+      fs.rmSync(path.join(dir, `${entry.kid}.pem`), { force: true });
+      return false;
+    });
+
+  writeMetadata({
+    activeKid: kid,
+    keys: [...remaining, { kid, alg, createdAt: now, retiredAt: null }]
+  });
+
+  return { kid, alg, retired: metadata.activeKid };
+};
+
+// Cargar las claves al arrancar (generando la primera si el directorio está vacío) y
+// recargarlas periódicamente para recoger las rotaciones hechas desde otra réplica o el script
+const initKeys = () => {
+  if (readMetadata().keys.length === 0) {
+    const { kid, alg } = rotateSigningKey();
+    logger.warn(`🔑 Generada clave de firma JWT ${kid} (${alg}) en ${getKeysDir()}; compártela entre réplicas`);
+  }
+
+  const { activeKid: kid, kids } = loadKeys();
+  logger.info(`🔑 Claves JWT cargadas: activa ${kid}, publicadas ${kids.length}`);
+
+  if (!reloadTimer) {
+    reloadTimer = setInterval(() => {
+      try {
+        const previousKid = activeKid;
+        loadKeys();
+        if (activeKid !== previousKid) {
+          logger.info(`🔑 Nueva clave de firma JWT activa: ${activeKid}`);
+        }
+      } catch (error) {
+        logger.error(`Error recargando claves JWT: ${error.message}`);
+      }
+    }, RELOAD_INTERVAL);
+    reloadTimer.unref();
+  }
+};
+
+// Clave con la que firmar los tokens nuevos
+const getSigningKey = () => {
+  if (!activeKid) {
+    initKeys();
+  }
+  return keys.get(activeKid);
+};
+
+// Documento JWKS con las claves públicas vigentes (activa y retiradas con tokens aún válidos)
+const getJwks = () => {
+  if (!activeKid) {
+    initKeys();
+  }
+  return {
+    keys: [...keys.values()].map(key => ({
+      ...key.publicJwk,
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+};
+
+// Verificar un access token con la clave pública de su kid. Los errores son los de jsonwebtoken
+// (JsonWebTokenError, TokenExpiredError) para que los manejadores existentes los traten igual.
+const verifyAccessToken = (token) => {
+  if (!activeKid) {
+    initKeys();
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && keys.get(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('kid desconocido o ausente');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+module.exports = {
+  initKeys,
+  loadKeys,
+  rotateSigningKey,
+  getSigningKey,
+  getJwks,
+  verifyAccessToken,
+  parseDuration
+};
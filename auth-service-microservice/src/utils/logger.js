@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const { getRequestId } = require('./requestContext');
 
 // Configuración de colores para los niveles
 const colors = {
@@ -12,8 +13,18 @@ const colors = {
 
 winston.addColors(colors);
 
+// Añadir el request ID de la petición en curso a cada entrada de log
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
+
 // Formato personalizado para logs
 const logFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   winston.format.errors({ stack: true }),
   winston.format.json(),
@@ -22,11 +33,12 @@ const logFormat = winston.format.combine(
 
 // Formato para consola
 const consoleFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.colorize({ all: true }),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   winston.format.align(),
   winston.format.printf(
-    (info) => `${info.timestamp} ${info.level}: ${info.message}`
+    (info) => `${info.timestamp} ${info.level}${info.requestId ? ` [${info.requestId}]` : ''}: ${info.message}`
   )
 );
 
@@ -115,6 +127,7 @@ const logger = winston.createLogger({
 const authLogger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
+    requestIdFormat(),
     winston.format.timestamp(),
     winston.format.json(),
     winston.format.label({ label: 'AUTH' })
@@ -136,6 +149,7 @@ const authLogger = winston.createLogger({
 const securityLogger = winston.createLogger({
   level: 'warn',
   format: winston.format.combine(
+    requestIdFormat(),
     winston.format.timestamp(),
     winston.format.json(),
     winston.format.label({ label: 'SECURITY' })
@@ -157,6 +171,7 @@ const securityLogger = winston.createLogger({
 const performanceLogger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
+    requestIdFormat(),
     winston.format.timestamp(),
     winston.format.json(),
     winston.format.label({ label: 'PERFORMANCE' })
@@ -295,6 +310,7 @@ const logDatabaseOperation = (operation, collection, duration, success, meta = {
 const httpLogger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
+    requestIdFormat(),
     winston.format.timestamp(),
     winston.format.json()
   ),
@@ -321,7 +337,7 @@ const morganStream = {
 // Función para crear contexto de logging
 const createLogContext = (req) => {
   return {
-    requestId: req.id || 'unknown',
+    requestId: req.id || req.get('X-Request-ID') || 'unknown',
     userId: req.user?.id,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Transportes de correo. Interfaz común: send({ to, subject, text, html }) -> Promise
+
+// SMTP (nodemailer)
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Fichero: un JSON por correo en MAIL_FILE_DIR, para pruebas locales sin servidor de correo
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'logs', 'mail');
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+      return { file: fileName };
+    }
+  };
+};
+
+// Consola: escribe el correo en el log (solo desarrollo)
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    logger.info(`📧 Correo para ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+// Transporte configurado con MAIL_TRANSPORT (smtp | file | console)
+const createTransport = (type = process.env.MAIL_TRANSPORT || 'console') => {
+  const factory = transportFactories[type];
+  if (!factory) {
+    throw new Error(`Transporte de correo desconocido: ${type}`);
+  }
+  return factory();
+};
+
+let transport = null;
+
+// Enviar un correo con el transporte configurado (se crea al primer envío)
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'Auth Service <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  const result = await transport.send(message);
+  logger.info(`Correo enviado (${transport.name}): ${subject}`, { to });
+  return result;
+};
+
+// Reemplazar el transporte (p. ej. uno propio o uno en memoria)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+module.exports = {
+  sendMail,
+  createTransport,
+  setTransport
+};
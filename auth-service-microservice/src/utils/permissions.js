@@ -0,0 +1,147 @@
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const { logger } = require('./logger');
+
+// Permisos y roles del sistema. Se crean al arrancar si no existen; después se gestionan
+// desde /api/roles y /api/permissions (los cambios de un administrador no se sobrescriben).
+const SYSTEM_PERMISSIONS = [
+  { name: 'users:read', description: 'Consultar usuarios' },
+  { name: 'users:create', description: 'Dar de alta usuarios (individualmente o importando un CSV)' },
+  { name: 'users:manage', description: 'Editar usuarios, activarlos/desactivarlos, cerrar sus sesiones y restablecer su 2FA' },
+  { name: 'users:assign-role', description: 'Cambiar el rol de los usuarios' },
+  { name: 'roles:read', description: 'Consultar roles y permisos' },
+  { name: 'roles:manage', description: 'Crear, modificar y eliminar roles y permisos' },
+  { name: 'audit:read', description: 'Consultar y exportar el registro de auditoría' }
+];
+
+const SYSTEM_ROLES = [
+  {
+    name: 'administrador',
+    description: 'Acceso completo',
+    permissions: [{ name: '*', scope: 'all' }]
+  },
+  {
+    name: 'director',
+    description: 'Gestión de los usuarios de su departamento',
+    permissions: [
+      { name: 'users:read', scope: 'department' },
+      { name: 'users:manage', scope: 'department' }
+    ]
+  },
+  {
+    name: 'usuario',
+    description: 'Acceso a su propio perfil',
+    permissions: []
+  }
+];
+
+// Rol de las cuentas creadas por autorregistro o sin rol indicado
+const DEFAULT_ROLE = 'usuario';
+
+// Orden de los ámbitos de menor a mayor alcance
+const SCOPE_RANK = { own: 0, department: 1, all: 2 };
+
+// Cache de permisos por rol: cada réplica recoge los cambios de otra como mucho tras el TTL
+const CACHE_TTL = parseInt(process.env.PERMISSIONS_CACHE_TTL) || 60 * 1000;
+const roleCache = new Map();
+
+// Crear los permisos y roles del sistema que falten
+const seedPermissions = async () => {
+  await Permission.bulkWrite(SYSTEM_PERMISSIONS.map(({ name, description }) => ({
+    updateOne: {
+      filter: { name },
+      update: { $setOnInsert: { description }, $set: { isSystem: true } },
+      upsert: true
+    }
+  })));
+
+  await Role.bulkWrite(SYSTEM_ROLES.map(({ name, description, permissions }) => ({
+    updateOne: {
+      filter: { name },
+      update: { $setOnInsert: { description, permissions }, $set: { isSystem: true } },
+      upsert: true
+    }
+  })));
+
+  logger.info(`🔐 Permisos del sistema verificados: ${SYSTEM_PERMISSIONS.length} permisos, ${SYSTEM_ROLES.length} roles`);
+};
+
+// Permisos de un rol como [{ name, scope }] (vacío si el rol no existe)
+const getRolePermissions = async (roleName) => {
+  const cached = roleCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = role
+    ? role.permissions.map(({ name, scope }) => ({ name, scope }))
+    : [];
+
+  roleCache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL });
+  return permissions;
+};
+
+// Olvidar los permisos cacheados de un rol (o de todos) tras modificarlo
+const invalidateRoleCache = (roleName) => {
+  if (roleName) {
+    roleCache.delete(roleName);
+  } else {
+    roleCache.clear();
+  }
+};
+
+// Concesión de un permiso en una lista de permisos (la de mayor ámbito si hay varias); null si no lo tiene
+const findGrant = (permissions, permissionName) => {
+  return permissions
+    .filter(grant => grant.name === permissionName || grant.name === '*')
+    .reduce((best, grant) => (!best || SCOPE_RANK[grant.scope] > SCOPE_RANK[best.scope] ? grant : best), null);
+};
+
+// Filtro de MongoDB sobre usuarios según el ámbito de una concesión
+const getScopeFilter = (user, grant) => {
+  if (grant.scope === 'all') {
+    return {};
+  }
+  if (grant.scope === 'department') {
+    return { departamento: user.departamento };
+  }
+  return { _id: user._id };
+};
+
+// ¿Está un usuario dentro del ámbito de una concesión?
+const isInScope = (user, grant, target) => {
+  if (grant.scope === 'all') {
+    return true;
+  }
+  if (grant.scope === 'department') {
+    return target.departamento === user.departamento;
+  }
+  return target._id.toString() === user._id.toString();
+};
+
+// ¿Puede `user` aplicar el permiso sobre otro usuario? Con ámbito limitado no se actúa sobre
+// quien tiene ese mismo permiso (otros directores, administradores del departamento).
+const canActOnUser = async (user, permissions, permissionName, target) => {
+  const grant = findGrant(permissions, permissionName);
+  if (!grant || !isInScope(user, grant, target)) {
+    return false;
+  }
+  if (grant.scope === 'all') {
+    return true;
+  }
+  return !findGrant(await getRolePermissions(target.rol), permissionName);
+};
+
+module.exports = {
+  SYSTEM_PERMISSIONS,
+  SYSTEM_ROLES,
+  DEFAULT_ROLE,
+  seedPermissions,
+  getRolePermissions,
+  invalidateRoleCache,
+  findGrant,
+  getScopeFilter,
+  isInScope,
+  canActOnUser
+};
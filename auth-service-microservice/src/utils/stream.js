@@ -0,0 +1,16 @@
+// Utilidades para respuestas en streaming (exportaciones)
+
+// Esperar a que el cliente consuma lo escrito (o se desconecte)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+module.exports = {
+  waitForDrain
+};
@@ -0,0 +1,258 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { createExporter } = require('./traceExporters');
+const { logger } = require('./logger');
+
+// Trazas distribuidas compatibles con OpenTelemetry (W3C Trace Context + export OTLP)
+
+const SpanKind = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const SpanStatusCode = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// Reloj en nanosegundos desde epoch con resolución de hrtime
+const timeOrigin = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+const nowNanos = () => timeOrigin + process.hrtime.bigint();
+
+// Contexto remoto desde el header traceparent ({ traceId, spanId, sampled }) o null si no es válido
+function extractContext(headers = {}) {
+  const header = headers.traceparent;
+  const match = typeof header === 'string' && TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) {
+    return null;
+  }
+
+  return {
+    traceId: match[1],
+    spanId: match[2],
+    sampled: (parseInt(match[3], 16) & 1) === 1
+  };
+}
+
+class Span {
+  constructor(tracer, name, { kind = SpanKind.INTERNAL, parent = null, attributes = {} } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.sampled = parent ? parent.sampled : tracer.shouldSample();
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.setAttributes(attributes);
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes = {}) {
+    Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+    return this;
+  }
+
+  updateName(name) {
+    this.name = name;
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, attributes, time: nowNanos() });
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = { code, message };
+    return this;
+  }
+
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.name,
+      'exception.message': error.message,
+      'exception.stacktrace': error.stack
+    });
+    return this.setStatus(SpanStatusCode.ERROR, error.message);
+  }
+
+  end() {
+    if (this.endTime) return;
+    this.endTime = nowNanos();
+    this.tracer.onEnd(this);
+  }
+
+  // Valor del header traceparent para propagar este span como padre
+  traceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+  }
+}
+
+class Tracer {
+  constructor({ serviceName, exporter = null, sampleRatio = 1, maxBatchSize = 512, flushInterval = 5000 }) {
+    this.serviceName = serviceName;
+    this.exporter = exporter;
+    this.sampleRatio = sampleRatio;
+    this.maxBatchSize = maxBatchSize;
+    this.queue = [];
+    this.storage = new AsyncLocalStorage();
+
+    if (this.exporter) {
+      this.timer = setInterval(() => this.flush(), flushInterval);
+      this.timer.unref();
+    }
+  }
+
+  // Las trazas nuevas (sin padre) se muestrean según TRACING_SAMPLE_RATIO
+  shouldSample() {
+    return !!this.exporter && Math.random() < this.sampleRatio;
+  }
+
+  getActiveSpan() {
+    return this.storage.getStore() || null;
+  }
+
+  // Crear un span hijo del indicado en `parent` (span o contexto remoto) o del span activo
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : this.getActiveSpan();
+    return new Span(this, name, { ...options, parent });
+  }
+
+  // Ejecutar fn con `span` como span activo
+  runWithSpan(span, fn) {
+    return this.storage.run(span, fn);
+  }
+
+  // Ejecutar fn(span) dentro de un span nuevo que se cierra al terminar (también si fn es async)
+  withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    const fail = (error) => {
+      span.recordException(error);
+      span.end();
+      throw error;
+    };
+
+    return this.runWithSpan(span, () => {
+      try {
+        const result = fn(span);
+        if (result && typeof result.then === 'function') {
+          return result.then(value => {
+            span.end();
+            return value;
+          }, fail);
+        }
+        span.end();
+        return result;
+      } catch (error) {
+        return fail(error);
+      }
+    });
+  }
+
+  // Headers de propagación (traceparent) para una llamada saliente desde el span activo
+  inject(headers = {}) {
+    const span = this.getActiveSpan();
+    return span ? { ...headers, traceparent: span.traceparent() } : headers;
+  }
+
+  onEnd(span) {
+    if (!this.exporter || !span.sampled) return;
+
+    this.queue.push(span);
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  // Enviar los spans pendientes al exportador
+  async flush() {
+    if (!this.exporter || this.queue.length === 0) return;
+
+    const batch = this.queue.splice(0, this.queue.length);
+    try {
+      await this.exporter.export(batch);
+    } catch (error) {
+      logger.warn(`No se pudieron exportar ${batch.length} spans: ${error.message}`);
+    }
+  }
+
+  async shutdown() {
+    clearInterval(this.timer);
+    await this.flush();
+    if (this.exporter) {
+      await this.exporter.shutdown();
+    }
+  }
+}
+
+// Spans CLIENT para operaciones de Mongoose de un schema (hooks pre/post de query y documento).
+// Registrar antes que el resto de hooks para que el span cubra también su tiempo.
+function traceSchema(schema, modelName, operations = ['findOne', 'save']) {
+  const spans = new WeakMap();
+
+  const finish = (target, error) => {
+    const span = spans.get(target);
+    if (!span) return;
+    if (error) {
+      span.recordException(error);
+    }
+    span.end();
+    spans.delete(target);
+  };
+
+  operations.forEach(operation => {
+    schema.pre(operation, function() {
+      spans.set(this, tracer.startSpan(`mongoose.${modelName}.${operation}`, {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          'db.system': 'mongodb',
+          'db.operation': operation,
+          'db.mongodb.collection': (this.mongooseCollection || this.collection || {}).name
+        }
+      }));
+    });
+
+    schema.post(operation, function() {
+      finish(this);
+    });
+
+    schema.post(operation, function(error, result, next) {
+      finish(this, error);
+      next(error);
+    });
+  });
+}
+
+// Crear instancia singleton configurada por entorno
+const serviceName = process.env.OTEL_SERVICE_NAME || 'auth-service';
+const tracer = new Tracer({
+  serviceName,
+  exporter: createExporter(process.env.TRACING_EXPORTER, {
+    resource: {
+      'service.name': serviceName,
+      'service.version': process.env.npm_package_version || '1.0.0',
+      'deployment.environment': process.env.NODE_ENV || 'development'
+    }
+  }),
+  sampleRatio: process.env.TRACING_SAMPLE_RATIO !== undefined ? parseFloat(process.env.TRACING_SAMPLE_RATIO) : 1
+});
+
+module.exports = {
+  tracer,
+  Tracer,
+  Span,
+  SpanKind,
+  SpanStatusCode,
+  extractContext,
+  traceSchema
+};
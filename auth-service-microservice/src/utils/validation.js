@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const validator = require('validator');
+const AuditEvent = require('../models/AuditEvent');
 
 // Configuración personalizada de Joi
 const customJoi = Joi.extend({
@@ -49,6 +50,9 @@ const customJoi = Joi.extend({
   }
 });
 
+// Nombre de un rol (los roles se gestionan en /api/roles)
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,29}$/;
+
 // Esquemas de validación para autenticación
 const authSchemas = {
   // Registro de usuario
@@ -107,12 +111,12 @@ const authSchemas = {
         'any.required': 'El departamento es requerido'
       }),
     
+    // El autorregistro solo crea cuentas con el rol por defecto
     rol: customJoi.string()
-      .valid('administrador', 'director', 'usuario')
-      .required()
+      .valid('usuario')
+      .default('usuario')
       .messages({
-        'any.only': 'Rol no válido',
-        'any.required': 'El rol es requerido'
+        'any.only': 'El registro solo permite crear cuentas con rol usuario'
       }),
     
     phone: customJoi.string()
@@ -260,7 +264,104 @@ const authSchemas = {
         'string.empty': 'El refresh token es requerido',
         'any.required': 'El refresh token es requerido'
       })
-  })
+  }),
+
+  // Código TOTP (alta de 2FA, regenerar códigos de recuperación)
+  twoFactorCode: customJoi.object({
+    code: customJoi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'El código debe tener 6 dígitos',
+        'string.empty': 'El código es requerido',
+        'any.required': 'El código es requerido'
+      }),
+
+    // Alta obligatoria durante el login (sin access token todavía)
+    mfaToken: customJoi.string()
+      .optional()
+  }),
+
+  // Cambio obligatorio de la contraseña temporal durante el login
+  loginPasswordChange: customJoi.object({
+    mfaToken: customJoi.string()
+      .required()
+      .messages({
+        'string.empty': 'El token MFA es requerido',
+        'any.required': 'El token MFA es requerido'
+      }),
+
+    newPassword: customJoi.string()
+      .strongPassword()
+      .min(8)
+      .max(128)
+      .required()
+      .messages({
+        'string.empty': 'La nueva contraseña es requerida',
+        'string.min': 'La nueva contraseña debe tener al menos 8 caracteres',
+        'string.max': 'La nueva contraseña no puede exceder 128 caracteres',
+        'any.required': 'La nueva contraseña es requerida'
+      }),
+
+    confirmNewPassword: customJoi.string()
+      .valid(customJoi.ref('newPassword'))
+      .required()
+      .messages({
+        'any.only': 'Las contraseñas no coinciden',
+        'any.required': 'La confirmación de contraseña es requerida'
+      })
+  }),
+
+  // Segundo paso del login: código TOTP o código de recuperación
+  twoFactorLogin: customJoi.object({
+    mfaToken: customJoi.string()
+      .required()
+      .messages({
+        'string.empty': 'El token MFA es requerido',
+        'any.required': 'El token MFA es requerido'
+      }),
+
+    code: customJoi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'El código debe tener 6 dígitos'
+      }),
+
+    recoveryCode: customJoi.string()
+      .trim()
+      .max(20)
+  }).xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Indica un código de verificación o un código de recuperación',
+      'object.xor': 'Indica solo un código de verificación o un código de recuperación'
+    }),
+
+  // Desactivar 2FA: contraseña y código TOTP o de recuperación
+  twoFactorDisable: customJoi.object({
+    password: customJoi.string()
+      .required()
+      .messages({
+        'string.empty': 'La contraseña es requerida',
+        'any.required': 'La contraseña es requerida'
+      }),
+
+    code: customJoi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'El código debe tener 6 dígitos'
+      }),
+
+    recoveryCode: customJoi.string()
+      .trim()
+      .max(20)
+  }).xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Indica un código de verificación o un código de recuperación',
+      'object.xor': 'Indica solo un código de verificación o un código de recuperación'
+    })
 };
 
 // Esquemas de validación para perfil de usuario
@@ -279,20 +380,6 @@ const userSchemas = {
         'string.pattern.base': 'El usuario solo puede contener letras, números y guiones bajos'
       }),
     
-    departamento: customJoi.string()
-      .valid('administracion', 'compras', 'informatica', 'gerencia', 'rrhh', 'produccion', 'softgel', 'calidad', 'laboratorio', 'mantenimiento', 'oficina_tecnica', 'logistica')
-      .optional()
-      .messages({
-        'any.only': 'Departamento no válido'
-      }),
-    
-    rol: customJoi.string()
-      .valid('administrador', 'director', 'usuario')
-      .optional()
-      .messages({
-        'any.only': 'Rol no válido'
-      }),
-    
     phone: customJoi.string()
       .pattern(/^[+]?[1-9]\d{1,14}$/)
       .optional()
@@ -336,15 +423,137 @@ const userSchemas = {
   
   // Actualizar rol (solo admin)
   updateRole: customJoi.object({
-    role: customJoi.string()
-      .valid('user', 'moderator', 'admin')
+    rol: customJoi.string()
+      .trim()
+      .lowercase()
+      .pattern(ROLE_NAME_PATTERN)
       .required()
       .messages({
-        'any.only': 'El rol debe ser: user, moderator o admin',
+        'string.pattern.base': 'Nombre de rol no válido',
         'any.required': 'El rol es requerido'
       })
   }),
   
+  // Alta de un usuario por un gestor (también cada fila de una importación CSV).
+  // Sin contraseña se genera una temporal.
+  createUser: customJoi.object({
+    usuario: customJoi.string()
+      .trim()
+      .lowercase()
+      .min(3)
+      .max(20)
+      .pattern(/^[a-zA-Z0-9_]+$/)
+      .required()
+      .messages({
+        'string.empty': 'El usuario es requerido',
+        'string.min': 'El usuario debe tener al menos 3 caracteres',
+        'string.max': 'El usuario no puede exceder 20 caracteres',
+        'string.pattern.base': 'El usuario solo puede contener letras, números y guiones bajos',
+        'any.required': 'El usuario es requerido'
+      }),
+
+    firstName: customJoi.string()
+      .trim()
+      .min(2)
+      .max(50)
+      .required()
+      .messages({
+        'string.empty': 'El nombre es requerido',
+        'string.min': 'El nombre debe tener al menos 2 caracteres',
+        'string.max': 'El nombre no puede exceder 50 caracteres',
+        'any.required': 'El nombre es requerido'
+      }),
+
+    lastName: customJoi.string()
+      .trim()
+      .min(2)
+      .max(50)
+      .required()
+      .messages({
+        'string.empty': 'El apellido es requerido',
+        'string.min': 'El apellido debe tener al menos 2 caracteres',
+        'string.max': 'El apellido no puede exceder 50 caracteres',
+        'any.required': 'El apellido es requerido'
+      }),
+
+    email: customJoi.string()
+      .validEmail()
+      .lowercase()
+      .trim()
+      .max(255)
+      .required()
+      .messages({
+        'string.empty': 'El email es requerido',
+        'string.max': 'El email no puede exceder 255 caracteres',
+        'any.required': 'El email es requerido'
+      }),
+
+    departamento: customJoi.string()
+      .trim()
+      .valid('administracion', 'compras', 'informatica', 'gerencia', 'rrhh', 'produccion', 'softgel', 'calidad', 'laboratorio', 'mantenimiento', 'oficina_tecnica', 'logistica')
+      .required()
+      .messages({
+        'any.only': 'Departamento no válido',
+        'any.required': 'El departamento es requerido'
+      }),
+
+    rol: customJoi.string()
+      .trim()
+      .lowercase()
+      .pattern(ROLE_NAME_PATTERN)
+      .empty('')
+      .default('usuario')
+      .messages({
+        'string.pattern.base': 'Nombre de rol no válido'
+      }),
+
+    password: customJoi.string()
+      .strongPassword()
+      .min(8)
+      .max(128)
+      .optional()
+      .messages({
+        'string.min': 'La contraseña debe tener al menos 8 caracteres',
+        'string.max': 'La contraseña no puede exceder 128 caracteres'
+      }),
+
+    // Por defecto la contraseña (temporal o indicada por el gestor) se cambia en el primer login
+    mustChangePassword: customJoi.boolean()
+      .default(true)
+  }),
+
+  // Editar nombre, apellido y/o departamento de un usuario (gestores)
+  updateUser: customJoi.object({
+    firstName: customJoi.string()
+      .trim()
+      .min(2)
+      .max(50)
+      .messages({
+        'string.empty': 'El nombre no puede estar vacío',
+        'string.min': 'El nombre debe tener al menos 2 caracteres',
+        'string.max': 'El nombre no puede exceder 50 caracteres'
+      }),
+
+    lastName: customJoi.string()
+      .trim()
+      .min(2)
+      .max(50)
+      .messages({
+        'string.empty': 'El apellido no puede estar vacío',
+        'string.min': 'El apellido debe tener al menos 2 caracteres',
+        'string.max': 'El apellido no puede exceder 50 caracteres'
+      }),
+
+    departamento: customJoi.string()
+      .valid('administracion', 'compras', 'informatica', 'gerencia', 'rrhh', 'produccion', 'softgel', 'calidad', 'laboratorio', 'mantenimiento', 'oficina_tecnica', 'logistica')
+      .messages({
+        'any.only': 'Departamento no válido'
+      })
+  }).min(1)
+    .messages({
+      'object.min': 'Indica al menos un campo a modificar (firstName, lastName o departamento)'
+    }),
+
   // Activar/desactivar usuario (solo admin)
   toggleUserStatus: customJoi.object({
     isActive: customJoi.boolean()
@@ -355,6 +564,94 @@ const userSchemas = {
   })
 };
 
+// Concesión de un permiso a un rol
+const grantSchema = customJoi.object({
+  name: customJoi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^(\*|[a-z][a-z0-9-]*:[a-z][a-z0-9-]*)$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'El permiso debe tener el formato recurso:accion o ser *',
+      'any.required': 'El nombre del permiso es requerido'
+    }),
+
+  scope: customJoi.string()
+    .valid('own', 'department', 'all')
+    .default('all')
+    .messages({
+      'any.only': 'El ámbito debe ser: own, department o all'
+    })
+});
+
+// Esquemas de validación para roles y permisos (administración)
+const roleSchemas = {
+  // Crear rol
+  createRole: customJoi.object({
+    name: customJoi.string()
+      .trim()
+      .lowercase()
+      .pattern(ROLE_NAME_PATTERN)
+      .required()
+      .messages({
+        'string.pattern.base': 'El nombre del rol solo puede contener letras, números y guiones bajos (3-30)',
+        'any.required': 'El nombre del rol es requerido'
+      }),
+
+    description: customJoi.string()
+      .trim()
+      .max(200)
+      .allow('')
+      .optional(),
+
+    permissions: customJoi.array()
+      .items(grantSchema)
+      .unique('name')
+      .default([])
+      .messages({
+        'array.unique': 'Un permiso solo puede aparecer una vez en el rol'
+      })
+  }),
+
+  // Modificar rol (descripción y/o permisos; el nombre no cambia)
+  updateRole: customJoi.object({
+    description: customJoi.string()
+      .trim()
+      .max(200)
+      .allow('')
+      .optional(),
+
+    permissions: customJoi.array()
+      .items(grantSchema)
+      .unique('name')
+      .optional()
+      .messages({
+        'array.unique': 'Un permiso solo puede aparecer una vez en el rol'
+      })
+  }).min(1).messages({
+    'object.min': 'Indica la descripción o los permisos a modificar'
+  }),
+
+  // Crear permiso
+  createPermission: customJoi.object({
+    name: customJoi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'El permiso debe tener el formato recurso:accion',
+        'any.required': 'El nombre del permiso es requerido'
+      }),
+
+    description: customJoi.string()
+      .trim()
+      .max(200)
+      .allow('')
+      .optional()
+  })
+};
+
 // Esquemas de validación para parámetros de URL
 const paramSchemas = {
   // ID de usuario
@@ -367,7 +664,40 @@ const paramSchemas = {
         'any.required': 'ID de usuario requerido'
       })
   }),
+
+  // ID de sesión (entrada de refreshTokens)
+  sessionId: customJoi.object({
+    id: customJoi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'ID de sesión no válido',
+        'any.required': 'ID de sesión requerido'
+      })
+  }),
   
+  // Nombre de rol
+  roleName: customJoi.object({
+    name: customJoi.string()
+      .pattern(ROLE_NAME_PATTERN)
+      .required()
+      .messages({
+        'string.pattern.base': 'Nombre de rol no válido',
+        'any.required': 'Nombre de rol requerido'
+      })
+  }),
+
+  // Nombre de permiso
+  permissionName: customJoi.object({
+    name: customJoi.string()
+      .pattern(/^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Nombre de permiso no válido',
+        'any.required': 'Nombre de permiso requerido'
+      })
+  }),
+
   // Token
   token: customJoi.object({
     token: customJoi.string()
@@ -379,9 +709,59 @@ const paramSchemas = {
   })
 };
 
+// Orden del listado y la exportación de usuarios
+const userSortSchema = customJoi.string()
+  .valid('createdAt', '-createdAt', 'email', '-email', 'usuario', '-usuario')
+  .default('-createdAt')
+  .optional();
+
+// Filtros del listado y la exportación de usuarios
+const userFilterKeys = {
+  // Texto literal (no expresión regular) buscado en usuario, nombre, apellido y email
+  search: customJoi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .allow(''),
+  
+  rol: customJoi.string()
+    .pattern(ROLE_NAME_PATTERN)
+    .optional(),
+  
+  departamento: customJoi.string()
+    .valid('administracion', 'compras', 'informatica', 'gerencia', 'rrhh', 'produccion', 'softgel', 'calidad', 'laboratorio', 'mantenimiento', 'oficina_tecnica', 'logistica')
+    .optional(),
+  
+  isActive: customJoi.boolean()
+    .optional(),
+  
+  isEmailVerified: customJoi.boolean()
+    .optional(),
+
+  // Cuentas bloqueadas por intentos fallidos (true) o no bloqueadas (false)
+  locked: customJoi.boolean()
+    .optional(),
+
+  lastLoginFrom: customJoi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'lastLoginFrom debe ser una fecha ISO 8601'
+    }),
+
+  lastLoginTo: customJoi.date()
+    .iso()
+    .optional()
+    .when('lastLoginFrom', { is: customJoi.exist(), then: customJoi.date().min(customJoi.ref('lastLoginFrom')) })
+    .messages({
+      'date.format': 'lastLoginTo debe ser una fecha ISO 8601',
+      'date.min': 'lastLoginTo debe ser posterior a lastLoginFrom'
+    })
+};
+
 // Esquemas de validación para query parameters
 const querySchemas = {
-  // Paginación
+  // Listado de usuarios: paginación por página o por cursor (?cursor= de la respuesta anterior)
   pagination: customJoi.object({
     page: customJoi.number()
       .integer()
@@ -396,25 +776,87 @@ const querySchemas = {
       .default(10)
       .optional(),
     
-    sort: customJoi.string()
-      .valid('createdAt', '-createdAt', 'email', '-email', 'usuario', '-usuario')
-      .default('-createdAt')
-      .optional(),
-    
-    search: customJoi.string()
+    sort: userSortSchema,
+
+    cursor: customJoi.string()
+      .max(200)
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Cursor no válido'
+      }),
+
+    ...userFilterKeys
+  }),
+
+  // Exportación del directorio de usuarios (mismos filtros y orden que el listado)
+  userExport: customJoi.object({
+    format: customJoi.string()
+      .valid('csv', 'xlsx', 'json')
+      .default('csv'),
+
+    sort: userSortSchema,
+
+    ...userFilterKeys
+  }),
+
+  // Importación CSV de usuarios: por defecto solo se valida (dryRun)
+  importUsers: customJoi.object({
+    dryRun: customJoi.boolean()
+      .default(true)
+  }),
+
+  // Consulta de eventos de auditoría (?type= se puede repetir)
+  audit: customJoi.object({
+    page: customJoi.number()
+      .integer()
+      .min(1)
+      .default(1),
+
+    limit: customJoi.number()
+      .integer()
+      .min(1)
       .max(100)
+      .default(50),
+
+    userId: customJoi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
       .optional()
-      .allow(''),
-    
-    role: customJoi.string()
-      .valid('user', 'moderator', 'admin')
-      .optional(),
-    
-    isActive: customJoi.boolean()
+      .messages({
+        'string.pattern.base': 'ID de usuario no válido'
+      }),
+
+    type: customJoi.array()
+      .items(customJoi.string().valid(...AuditEvent.TYPES))
+      .single()
+      .optional()
+      .messages({
+        'any.only': 'Tipo de evento no válido'
+      }),
+
+    outcome: customJoi.string()
+      .valid('success', 'failure')
       .optional(),
-    
-    isEmailVerified: customJoi.boolean()
+
+    from: customJoi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.format': 'from debe ser una fecha ISO 8601'
+      }),
+
+    to: customJoi.date()
+      .iso()
       .optional()
+      .when('from', { is: customJoi.exist(), then: customJoi.date().min(customJoi.ref('from')) })
+      .messages({
+        'date.format': 'to debe ser una fecha ISO 8601',
+        'date.min': 'to debe ser posterior a from'
+      }),
+
+    format: customJoi.string()
+      .valid('json', 'csv')
+      .default('json')
   })
 };
 
@@ -455,12 +897,27 @@ const validateForgotPassword = validate(authSchemas.forgotPassword);
 const validateResetPassword = validate(authSchemas.resetPassword);
 const validateVerifyEmail = validate(authSchemas.verifyEmail);
 const validateRefreshToken = validate(authSchemas.refreshToken);
+const validateTwoFactorCode = validate(authSchemas.twoFactorCode);
+const validateTwoFactorLogin = validate(authSchemas.twoFactorLogin);
+const validateTwoFactorDisable = validate(authSchemas.twoFactorDisable);
+const validateLoginPasswordChange = validate(authSchemas.loginPasswordChange);
 const validateUpdateProfile = validate(userSchemas.updateProfile);
 const validateUpdateRole = validate(userSchemas.updateRole);
 const validateToggleUserStatus = validate(userSchemas.toggleUserStatus);
+const validateCreateUser = validate(userSchemas.createUser);
+const validateEditUser = validate(userSchemas.updateUser);
+const validateImportUsers = validate(querySchemas.importUsers, 'query');
 const validateUserId = validate(paramSchemas.userId, 'params');
+const validateSessionId = validate(paramSchemas.sessionId, 'params');
 const validateToken = validate(paramSchemas.token, 'params');
 const validatePagination = validate(querySchemas.pagination, 'query');
+const validateUserExport = validate(querySchemas.userExport, 'query');
+const validateAuditQuery = validate(querySchemas.audit, 'query');
+const validateCreateRole = validate(roleSchemas.createRole);
+const validateEditRole = validate(roleSchemas.updateRole);
+const validateCreatePermission = validate(roleSchemas.createPermission);
+const validateRoleName = validate(paramSchemas.roleName, 'params');
+const validatePermissionName = validate(paramSchemas.permissionName, 'params');
 
 // Función para validar datos manualmente
 const validateData = (data, schema) => {
@@ -520,6 +977,7 @@ module.exports = {
   // Esquemas
   authSchemas,
   userSchemas,
+  roleSchemas,
   paramSchemas,
   querySchemas,
   
@@ -532,12 +990,27 @@ module.exports = {
   validateResetPassword,
   validateVerifyEmail,
   validateRefreshToken,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateLoginPasswordChange,
   validateUpdateProfile,
   validateUpdateRole,
   validateToggleUserStatus,
+  validateCreateUser,
+  validateEditUser,
+  validateImportUsers,
   validateUserId,
+  validateSessionId,
   validateToken,
   validatePagination,
+  validateUserExport,
+  validateAuditQuery,
+  validateCreateRole,
+  validateEditRole,
+  validateCreatePermission,
+  validateRoleName,
+  validatePermissionName,
   
   // Funciones de utilidad
   validateData,
@@ -0,0 +1,103 @@
+const { escapeCsvValue, toCsvRow, parseCsv } = require('../../src/utils/csv');
+
+describe('escapeCsvValue', () => {
+  test('deja tal cual los valores simples', () => {
+    expect(escapeCsvValue('ana@example.com')).toBe('ana@example.com');
+    expect(escapeCsvValue(42)).toBe('42');
+    expect(escapeCsvValue(false)).toBe('false');
+  });
+
+  test('convierte null y undefined en campos vacíos', () => {
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+  });
+
+  test('escribe las fechas en ISO 8601', () => {
+    expect(escapeCsvValue(new Date(Date.UTC(2024, 0, 1, 12)))).toBe('2024-01-01T12:00:00.000Z');
+  });
+
+  test('entrecomilla separadores, comillas y saltos de línea', () => {
+    expect(escapeCsvValue('Pérez, Ana')).toBe('"Pérez, Ana"');
+    expect(escapeCsvValue('dijo "hola"')).toBe('"dijo ""hola"""');
+    expect(escapeCsvValue('línea 1\nlínea 2')).toBe('"línea 1\nlínea 2"');
+    expect(escapeCsvValue('línea 1\r\nlínea 2')).toBe('"línea 1\r\nlínea 2"');
+  });
+
+  test.each([
+    ['=HYPERLINK("http://evil.example")', '"\'=HYPERLINK(""http://evil.example"")"'],
+    ['+1+cmd|\' /C calc\'!A0', '\'+1+cmd|\' /C calc\'!A0'],
+    ['-2+3', '\'-2+3'],
+    ['@SUM(A1:A2)', '\'@SUM(A1:A2)'],
+    ['\t=1+1', '\'\t=1+1'],
+    ['\r=1+1', '"\'\r=1+1"']
+  ])('neutraliza la fórmula %j', (value, escaped) => {
+    expect(escapeCsvValue(value)).toBe(escaped);
+  });
+
+  test('solo neutraliza las fórmulas al principio del valor', () => {
+    expect(escapeCsvValue('a=b')).toBe('a=b');
+    expect(escapeCsvValue(-5)).toBe('\'-5');
+  });
+});
+
+describe('toCsvRow', () => {
+  test('une los valores con comas y termina en CRLF', () => {
+    expect(toCsvRow(['login', 'ana', null, 'Pérez, Ana', '=1+1'])).toBe('login,ana,,"Pérez, Ana",\'=1+1\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  test('parsea filas con su número de línea', () => {
+    expect(parseCsv('email,name\r\nana@example.com,Ana\r\nluis@example.com,Luis\r\n')).toEqual([
+      { line: 1, values: ['email', 'name'] },
+      { line: 2, values: ['ana@example.com', 'Ana'] },
+      { line: 3, values: ['luis@example.com', 'Luis'] }
+    ]);
+  });
+
+  test('ignora el BOM y las líneas vacías', () => {
+    expect(parseCsv('\uFEFFemail\n\nana@example.com\n\n')).toEqual([
+      { line: 1, values: ['email'] },
+      { line: 3, values: ['ana@example.com'] }
+    ]);
+  });
+
+  test('conserva los campos vacíos', () => {
+    expect(parseCsv('a,,c\n,,')).toEqual([
+      { line: 1, values: ['a', '', 'c'] },
+      { line: 2, values: ['', '', ''] }
+    ]);
+  });
+
+  test('interpreta comillas, comillas dobladas y saltos de línea entrecomillados', () => {
+    expect(parseCsv('name,notes\n"Pérez, Ana","dijo ""hola""\nadiós"\nLuis,x\n')).toEqual([
+      { line: 1, values: ['name', 'notes'] },
+      { line: 2, values: ['Pérez, Ana', 'dijo "hola"\nadiós'] },
+      { line: 4, values: ['Luis', 'x'] }
+    ]);
+  });
+
+  test('detecta el separador ; de Excel en español', () => {
+    expect(parseCsv('email;name\nana@example.com;"Pérez; Ana"\n')).toEqual([
+      { line: 1, values: ['email', 'name'] },
+      { line: 2, values: ['ana@example.com', 'Pérez; Ana'] }
+    ]);
+  });
+
+  test('admite un separador explícito', () => {
+    expect(parseCsv('a;b,c\n', ',')).toEqual([{ line: 1, values: ['a;b', 'c'] }]);
+  });
+
+  test('lanza un error si hay comillas sin cerrar', () => {
+    expect(() => parseCsv('email\n"ana@example.com\n')).toThrow('Comillas sin cerrar en la línea 2');
+  });
+
+  test('recupera lo escrito con toCsvRow', () => {
+    const values = ['Pérez, Ana', 'dijo "hola"', 'línea 1\r\nlínea 2', '', 'ok'];
+
+    expect(parseCsv(toCsvRow(values) + toCsvRow(['fin']))).toEqual([
+      { line: 1, values },
+      { line: 3, values: ['fin'] }
+    ]);
+  });
+});
@@ -0,0 +1,154 @@
+const totp = require('../../src/utils/totp');
+
+// Secreto de los vectores de prueba SHA1 de RFC 6238 (Apéndice B)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('base32', () => {
+  test('codifica según RFC 4648 sin relleno', () => {
+    expect(totp.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('decodifica ignorando mayúsculas, espacios y relleno', () => {
+    expect(totp.base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  test('rechaza caracteres fuera del alfabeto', () => {
+    expect(() => totp.base32Decode('MZXW6YTB01')).toThrow('Secreto base32 inválido');
+  });
+
+  test('los secretos generados son de 160 bits', () => {
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateCode', () => {
+  // Últimos 6 dígitos de los valores de 8 dígitos de RFC 6238
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('T = %i → %s', (seconds, code) => {
+    expect(totp.generateCode(RFC_SECRET, stepAt(seconds))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111;
+  const currentStep = stepAt(now);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now * 1000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('devuelve el paso del código actual', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050471')).toBe(currentStep);
+    expect(totp.verifyCode(RFC_SECRET, ' 050 471 ')).toBe(currentStep);
+  });
+
+  test('admite un paso de desfase por defecto', () => {
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, currentStep - 1))).toBe(currentStep - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, currentStep + 1))).toBe(currentStep + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, currentStep - 2))).toBeNull();
+  });
+
+  test('respeta la ventana indicada', () => {
+    const code = totp.generateCode(RFC_SECRET, currentStep - 1);
+
+    expect(totp.verifyCode(RFC_SECRET, code, { window: 0 })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, currentStep - 2), { window: 2 })).toBe(currentStep - 2);
+  });
+
+  test('rechaza los pasos ya usados', () => {
+    expect(totp.verifyCode(RFC_SECRET, '050471', { lastUsedStep: currentStep })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '050471', { lastUsedStep: currentStep - 1 })).toBe(currentStep);
+
+    const previous = totp.generateCode(RFC_SECRET, currentStep - 1);
+    expect(totp.verifyCode(RFC_SECRET, previous, { lastUsedStep: currentStep - 1 })).toBeNull();
+  });
+
+  test('rechaza códigos con formato incorrecto', () => {
+    for (const code of [undefined, '', '05047', '0504710', 'abcdef', 50471]) {
+      expect(totp.verifyCode(RFC_SECRET, code)).toBeNull();
+    }
+  });
+
+  test('rechaza el código de otro secreto', () => {
+    expect(totp.verifyCode(totp.base32Encode(Buffer.from('otro secreto de 20 b')), '050471')).toBeNull();
+  });
+});
+
+describe('buildOtpauthUrl', () => {
+  test('codifica emisor y cuenta', () => {
+    expect(totp.buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'ana@example.com', issuer: 'Mi Empresa' })).toBe(
+      `otpauth://totp/Mi%20Empresa:ana%40example.com?secret=${RFC_SECRET}&issuer=Mi%20Empresa&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('encryptSecret / decryptSecret', () => {
+  const originalKey = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'clave-de-pruebas';
+  });
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    } else {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  test('recupera el secreto cifrado', () => {
+    const encrypted = totp.encryptSecret(RFC_SECRET);
+
+    expect(encrypted.split(':')).toHaveLength(3);
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(totp.decryptSecret(encrypted)).toBe(RFC_SECRET);
+  });
+
+  test('usa un IV distinto en cada cifrado', () => {
+    expect(totp.encryptSecret(RFC_SECRET)).not.toBe(totp.encryptSecret(RFC_SECRET));
+  });
+
+  test('falla con otra clave', () => {
+    const encrypted = totp.encryptSecret(RFC_SECRET);
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'otra-clave';
+
+    expect(() => totp.decryptSecret(encrypted)).toThrow();
+  });
+
+  test('falla si el cifrado se ha manipulado', () => {
+    const [iv, authTag, encrypted] = totp.encryptSecret(RFC_SECRET).split(':');
+    const tampered = Buffer.from(encrypted, 'base64');
+    tampered[0] ^= 1;
+
+    expect(() => totp.decryptSecret([iv, authTag, tampered.toString('base64')].join(':'))).toThrow();
+  });
+});
+
+describe('códigos de recuperación', () => {
+  test('genera códigos únicos con formato xxxxx-xxxxx', () => {
+    const codes = totp.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+  });
+
+  test('normaliza lo que introduce el usuario', () => {
+    expect(totp.normalizeRecoveryCode(' AB12C-3D4E5 ')).toBe('ab12c3d4e5');
+    expect(totp.normalizeRecoveryCode(undefined)).toBe('');
+  });
+});
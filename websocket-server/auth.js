@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Autenticación de las conexiones Socket.IO con los access tokens del auth-service.
+// La firma se verifica con sus claves públicas (JWKS); la introspección detecta después
+// usuarios desactivados o bloqueados con el token todavía vigente.
+
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://auth-service:3001';
+const JWKS_URL = process.env.JWKS_URL || `${AUTH_SERVICE_URL}/.well-known/jwks.json`;
+const JWKS_CACHE_TTL = parseInt(process.env.JWKS_CACHE_TTL) || 10 * 60 * 1000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// Credenciales de cliente para /api/auth/introspect. El secreto es obligatorio salvo con
+// WS_ALLOW_ANONYMOUS=true (sin él no se introspecciona)
+const INTROSPECTION_CLIENT_ID = process.env.INTROSPECTION_CLIENT_ID || 'websocket-server';
+const INTROSPECTION_CLIENT_SECRET = process.env.INTROSPECTION_CLIENT_SECRET || '';
+const INTROSPECTION_ENABLED = !!INTROSPECTION_CLIENT_SECRET;
+
+// Con WS_ALLOW_ANONYMOUS=true se aceptan conexiones sin token (pantallas de planta/kioscos)
+const ALLOW_ANONYMOUS = process.env.WS_ALLOW_ANONYMOUS === 'true';
+
+const HTTP_TIMEOUT = 5000;
+
+// Claves públicas por kid: { key: KeyObject, alg }
+let jwksKeys = new Map();
+let jwksFetchedAt = 0;
+let jwksPending = null;
+
+const fetchJwks = async () => {
+    const response = await fetch(JWKS_URL, { signal: AbortSignal.timeout(HTTP_TIMEOUT) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const jwks = await response.json();
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+        if (!jwk.kid || (jwk.use && jwk.use !== 'sig') || !SUPPORTED_ALGORITHMS.includes(jwk.alg)) {
+            continue;
+        }
+        try {
+            keys.set(jwk.kid, { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg: jwk.alg });
+        } catch (error) {
+            console.warn(`⚠️ Clave JWKS ${jwk.kid} ignorada: ${error.message}`);
+        }
+    }
+
+    jwksKeys = keys;
+    jwksFetchedAt = Date.now();
+    console.log(`🔑 JWKS actualizado desde ${JWKS_URL}: ${keys.size} claves`);
+};
+
+// Clave para un kid: recarga el JWKS si está caducado o si el kid es nuevo (como mucho cada 30 s)
+const getSigningKey = async (kid) => {
+    const age = Date.now() - jwksFetchedAt;
+    if (age > JWKS_CACHE_TTL || (!jwksKeys.has(kid) && age > 30 * 1000)) {
+        if (!jwksPending) {
+            jwksPending = fetchJwks().finally(() => {
+                jwksPending = null;
+            });
+        }
+        try {
+            await jwksPending;
+        } catch (error) {
+            // Con la clave en cache se sigue verificando aunque el auth-service no responda
+            console.warn(`⚠️ No se pudo obtener el JWKS de ${JWKS_URL}: ${error.message}`);
+        }
+    }
+    return jwksKeys.get(kid) || null;
+};
+
+// Verificar un access token (firma y caducidad); lanza los errores de jsonwebtoken
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+        throw new jwt.JsonWebTokenError('Token sin kid');
+    }
+
+    const signingKey = await getSigningKey(decoded.header.kid);
+    if (!signingKey) {
+        throw new jwt.JsonWebTokenError(`kid desconocido: ${decoded.header.kid}`);
+    }
+
+    return jwt.verify(token, signingKey.key, { algorithms: [signingKey.alg] });
+};
+
+// Introspección del token (RFC 7662): { active, ... } o null si no está configurada
+const introspectToken = async (token) => {
+    if (!INTROSPECTION_ENABLED) {
+        return null;
+    }
+
+    const credentials = Buffer.from(`${INTROSPECTION_CLIENT_ID}:${INTROSPECTION_CLIENT_SECRET}`).toString('base64');
+    const response = await fetch(`${AUTH_SERVICE_URL}/api/auth/introspect`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Basic ${credentials}`
+        },
+        body: JSON.stringify({ token, token_type_hint: 'access_token' }),
+        signal: AbortSignal.timeout(HTTP_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+};
+
+// Error de conexión para el cliente (llega como connect_error con err.data.code)
+const authError = (message, code) => {
+    const error = new Error(message);
+    error.data = { code };
+    return error;
+};
+
+const toSocketUser = (payload) => ({
+    userId: payload.userId,
+    usuario: payload.usuario,
+    email: payload.email,
+    rol: payload.rol,
+    departamento: payload.departamento,
+    permissions: payload.permissions || []
+});
+
+// Middleware del handshake: el token va en socket.handshake.auth.token
+// (en el cliente: io(url, { auth: { token } }) o una función que devuelva el token vigente)
+const socketAuthMiddleware = async (socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+
+    if (!token) {
+        if (ALLOW_ANONYMOUS) {
+            socket.data.user = null;
+            return next();
+        }
+        return next(authError('Token de acceso requerido', 'token_required'));
+    }
+
+    try {
+        const payload = await verifyAccessToken(token);
+        socket.data.user = toSocketUser(payload);
+        socket.data.token = token;
+        socket.data.tokenExpiresAt = payload.exp * 1000;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return next(authError('Token expirado', 'token_expired'));
+        }
+        console.warn(`🔒 Conexión rechazada (${socket.handshake.address}): ${error.message}`);
+        next(authError('Token inválido', 'token_invalid'));
+    }
+};
+
+// Comprobar de nuevo las conexiones autenticadas: se desconectan las de tokens caducados y,
+// con introspección configurada, las de usuarios desactivados, bloqueados o eliminados.
+// Si el auth-service no responde, las conexiones se mantienen hasta la siguiente comprobación.
+const revalidateSockets = async (io) => {
+    const now = Date.now();
+    const results = new Map(); // token -> Promise de introspección (una por token)
+
+    await Promise.all([...io.of('/').sockets.values()].map(async (socket) => {
+        const { user, token, tokenExpiresAt } = socket.data;
+        if (!user) {
+            return;
+        }
+
+        let reason = null;
+        if (tokenExpiresAt <= now) {
+            reason = 'token_expired';
+        } else {
+            if (!results.has(token)) {
+                results.set(token, introspectToken(token));
+            }
+            try {
+                const result = await results.get(token);
+                if (result && !result.active) {
+                    reason = 'token_revoked';
+                } else if (result) {
+                    socket.data.user = { ...user, rol: result.rol, departamento: result.departamento, permissions: result.permissions || [] };
+                }
+            } catch (error) {
+                console.warn(`⚠️ No se pudo revalidar la conexión ${socket.id}: ${error.message}`);
+            }
+        }
+
+        if (reason) {
+            console.log(`🔒 Desconectando ${socket.id} (${user.usuario}): ${reason}`);
+            socket.emit('auth-revoked', { code: reason });
+            socket.disconnect(true);
+        }
+    }));
+};
+
+// Revalidar periódicamente (WS_REVALIDATE_INTERVAL ms, 60 s por defecto)
+const startRevalidation = (io) => {
+    const interval = parseInt(process.env.WS_REVALIDATE_INTERVAL) || 60 * 1000;
+    if (!INTROSPECTION_ENABLED) {
+        console.warn('⚠️ INTROSPECTION_CLIENT_SECRET no configurado: solo se desconectan los tokens caducados');
+    }
+
+    const timer = setInterval(() => {
+        revalidateSockets(io).catch(error => console.error('❌ Error revalidando conexiones:', error));
+    }, interval);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    ALLOW_ANONYMOUS,
+    INTROSPECTION_ENABLED,
+    socketAuthMiddleware,
+    startRevalidation,
+    verifyAccessToken
+};
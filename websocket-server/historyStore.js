@@ -0,0 +1,408 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Almacenes del historial de deployments. Interfaz común:
+//   init()                        -> Promise  (cargar el fichero / conectar)
+//   add(deployment)               -> Promise<deployment con id (si no trae uno) y receivedAt>
+//   update(id, changes)           -> Promise<deployment actualizado (con updatedAt) | null>
+//   findById(id)                  -> Promise<deployment | null>
+//   find(filters, { skip, limit }) -> Promise<{ deployments, total }>  (más recientes primero)
+//   latestByProject(filters)      -> Promise<{ [project]: deployment }>
+//   prune({ maxAgeDays, maxPerProject }) -> Promise<número de deployments eliminados>
+//   close()                       -> Promise
+// filters: { project, environment, status, state, buildNumber, from, to } (from/to son Date sobre timestamp)
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const toTime = (value) => Date.parse(value) || 0;
+
+const matchesFilters = (deployment, { project, environment, status, state, buildNumber, from, to } = {}) => {
+    const time = toTime(deployment.timestamp);
+    return (!project || deployment.project === project)
+        && (!environment || deployment.environment === environment)
+        && (!status || deployment.status === status)
+        && (!state || deployment.state === state)
+        && (buildNumber === undefined || deployment.buildNumber === buildNumber)
+        && (!from || time >= from.getTime())
+        && (!to || time <= to.getTime());
+};
+
+// Orden del historial: por fecha del deployment y, a igualdad, por llegada
+const newestFirst = (a, b) => (toTime(b.timestamp) - toTime(a.timestamp)) || (toTime(b.receivedAt) - toTime(a.receivedAt));
+
+const newRecord = (deployment) => ({
+    id: crypto.randomUUID(),
+    ...deployment,
+    receivedAt: new Date().toISOString()
+});
+
+// Historial en un fichero JSON-lines de solo anexado (un deployment por línea; si un id se repite,
+// vale la última línea). Cada línea se escribe con un único write + fsync y una caída a mitad solo
+// puede dejar una última línea incompleta, que se descarta al cargar. La retención reescribe el
+// fichero en uno temporal y lo renombra, así que nunca queda a medias.
+class FileHistoryStore {
+    constructor({ filePath, legacyFilePath }) {
+        this.filePath = filePath;
+        this.legacyFilePath = legacyFilePath;
+        this.deployments = new Map(); // id -> deployment
+        this.staleLines = 0; // líneas sustituidas por una versión posterior del mismo deployment
+        this.queue = Promise.resolve();
+    }
+
+    // Las escrituras se encadenan para que nunca se solapen un anexado y una reescritura
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let content;
+        try {
+            content = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return this.importLegacyFile();
+        }
+
+        const end = content.lastIndexOf('\n') + 1;
+        if (end < content.length) {
+            console.warn(`⚠️ Última línea incompleta en ${this.filePath} (escritura interrumpida): se descarta`);
+            await fs.promises.truncate(this.filePath, Buffer.byteLength(content.slice(0, end)));
+        }
+
+        content.slice(0, end).split('\n').forEach((line, index) => {
+            if (!line) {
+                return;
+            }
+            try {
+                const deployment = JSON.parse(line);
+                if (this.deployments.has(deployment.id)) {
+                    this.staleLines++;
+                }
+                this.deployments.set(deployment.id, deployment);
+            } catch (error) {
+                console.warn(`⚠️ Línea ${index + 1} de ${this.filePath} ignorada: ${error.message}`);
+            }
+        });
+
+        console.log(`📋 Historial cargado de ${this.filePath}: ${this.deployments.size} deployments`);
+    }
+
+    // Importar el deployment-history.json de versiones anteriores la primera vez que se arranca
+    async importLegacyFile() {
+        if (!this.legacyFilePath || !fs.existsSync(this.legacyFilePath)) {
+            return;
+        }
+
+        const { deploymentHistory = [] } = JSON.parse(await fs.promises.readFile(this.legacyFilePath, 'utf8'));
+        for (const deployment of deploymentHistory) {
+            const record = { id: crypto.randomUUID(), ...deployment, receivedAt: deployment.timestamp };
+            this.deployments.set(record.id, record);
+        }
+
+        await this.enqueue(() => this.rewrite());
+        console.log(`📋 Historial importado de ${this.legacyFilePath}: ${this.deployments.size} deployments`);
+    }
+
+    async append(deployment) {
+        const handle = await fs.promises.open(this.filePath, 'a');
+        try {
+            await handle.write(`${JSON.stringify(deployment)}\n`);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Reescritura atómica: fichero temporal, fsync y rename sobre el original
+    async rewrite() {
+        const tempPath = `${this.filePath}.tmp`;
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.write([...this.deployments.values()].map(deployment => `${JSON.stringify(deployment)}\n`).join(''));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tempPath, this.filePath);
+        this.staleLines = 0;
+
+        // Persistir también el rename (no se puede abrir un directorio en Windows)
+        try {
+            const directory = await fs.promises.open(path.dirname(this.filePath), 'r');
+            await directory.sync().finally(() => directory.close());
+        } catch (error) {
+            // Sin fsync del directorio el rename sigue siendo atómico
+        }
+    }
+
+    async add(deployment) {
+        const record = newRecord(deployment);
+        await this.enqueue(() => this.append(record));
+        this.deployments.set(record.id, record);
+        return record;
+    }
+
+    // La versión actualizada se anexa como una línea nueva; la retención compacta las anteriores
+    async update(id, changes) {
+        const current = this.deployments.get(id);
+        if (!current) {
+            return null;
+        }
+
+        const record = { ...current, ...changes, updatedAt: new Date().toISOString() };
+        await this.enqueue(() => this.append(record));
+        this.deployments.set(id, record);
+        this.staleLines++;
+        return record;
+    }
+
+    async findById(id) {
+        return this.deployments.get(id) || null;
+    }
+
+    async find(filters, { skip = 0, limit = 20 } = {}) {
+        const matching = [...this.deployments.values()]
+            .filter(deployment => matchesFilters(deployment, filters))
+            .sort(newestFirst);
+
+        return {
+            deployments: matching.slice(skip, skip + limit),
+            total: matching.length
+        };
+    }
+
+    async latestByProject(filters) {
+        const latest = {};
+        for (const deployment of this.deployments.values()) {
+            if (!matchesFilters(deployment, filters)) {
+                continue;
+            }
+            const current = latest[deployment.project];
+            if (!current || newestFirst(deployment, current) < 0) {
+                latest[deployment.project] = deployment;
+            }
+        }
+        return latest;
+    }
+
+    async prune({ maxAgeDays, maxPerProject }) {
+        const cutoff = Date.now() - maxAgeDays * DAY;
+        const perProject = {};
+        const expired = [...this.deployments.values()]
+            .sort(newestFirst)
+            .filter(deployment => {
+                perProject[deployment.project] = (perProject[deployment.project] || 0) + 1;
+                return (maxAgeDays && toTime(deployment.timestamp) < cutoff)
+                    || (maxPerProject && perProject[deployment.project] > maxPerProject);
+            });
+
+        // Se reescribe también para compactar las líneas de deployments actualizados
+        if (expired.length > 0 || this.staleLines > 0) {
+            expired.forEach(deployment => this.deployments.delete(deployment.id));
+            await this.enqueue(() => this.rewrite());
+        }
+        return expired.length;
+    }
+
+    async close() {
+        await this.queue;
+    }
+}
+
+const stageSchema = new mongoose.Schema({
+    name: String,
+    status: String,
+    startedAt: String,
+    finishedAt: String,
+    durationMs: Number,
+    log: String
+}, { _id: false });
+
+const deploymentSchema = new mongoose.Schema({
+    _id: { type: String, default: () => crypto.randomUUID() },
+    version: String,
+    commit: String,
+    fullCommit: String,
+    project: { type: String, required: true },
+    environment: { type: String, default: null },
+    status: String,
+    deployUrl: String,
+    timestamp: { type: Date, required: true },
+    buildNumber: Number,
+    state: String,
+    stages: { type: [stageSchema], default: undefined },
+    log: String,
+    finishedAt: String,
+    receivedAt: { type: Date, default: Date.now },
+    updatedAt: String
+}, { versionKey: false });
+
+deploymentSchema.index({ project: 1, timestamp: -1 });
+deploymentSchema.index({ timestamp: -1 });
+
+const toMongoFilter = ({ project, environment, status, state, buildNumber, from, to } = {}) => ({
+    ...(project && { project }),
+    ...(environment && { environment }),
+    ...(status && { status }),
+    ...(state && { state }),
+    ...(buildNumber !== undefined && { buildNumber }),
+    ...((from || to) && {
+        timestamp: {
+            ...(from && { $gte: from }),
+            ...(to && { $lte: to })
+        }
+    })
+});
+
+const MONGO_SORT = { timestamp: -1, receivedAt: -1 };
+
+// Documento de MongoDB en el mismo formato que el historial en fichero
+const fromDocument = ({ _id, timestamp, receivedAt, ...deployment }) => ({
+    id: _id,
+    ...deployment,
+    timestamp: timestamp.toISOString(),
+    receivedAt: receivedAt.toISOString()
+});
+
+// Historial en la colección deployments de MongoDB (con conexión propia)
+class MongoHistoryStore {
+    constructor({ uri }) {
+        this.uri = uri;
+    }
+
+    async init() {
+        this.connection = await mongoose.createConnection(this.uri).asPromise();
+        this.Deployment = this.connection.model('Deployment', deploymentSchema);
+        await this.Deployment.init();
+        console.log(`📋 Historial en MongoDB (${this.connection.name}): ${await this.Deployment.estimatedDocumentCount()} deployments`);
+    }
+
+    async add(deployment) {
+        const { id, ...fields } = newRecord(deployment);
+        const document = await this.Deployment.create({ _id: id, ...fields });
+        return fromDocument(document.toObject());
+    }
+
+    async update(id, changes) {
+        const document = await this.Deployment.findByIdAndUpdate(
+            id,
+            { $set: { ...changes, updatedAt: new Date().toISOString() } },
+            { new: true }
+        ).lean();
+        return document ? fromDocument(document) : null;
+    }
+
+    async findById(id) {
+        const document = await this.Deployment.findById(id).lean();
+        return document ? fromDocument(document) : null;
+    }
+
+    async find(filters, { skip = 0, limit = 20 } = {}) {
+        const filter = toMongoFilter(filters);
+        const [documents, total] = await Promise.all([
+            this.Deployment.find(filter).sort(MONGO_SORT).skip(skip).limit(limit).lean(),
+            this.Deployment.countDocuments(filter)
+        ]);
+
+        return {
+            deployments: documents.map(fromDocument),
+            total
+        };
+    }
+
+    async latestByProject(filters) {
+        const groups = await this.Deployment.aggregate([
+            { $match: toMongoFilter(filters) },
+            { $sort: MONGO_SORT },
+            { $group: { _id: '$project', deployment: { $first: '$$ROOT' } } }
+        ]);
+        return Object.fromEntries(groups.map(group => [group._id, fromDocument(group.deployment)]));
+    }
+
+    async prune({ maxAgeDays, maxPerProject }) {
+        let removed = 0;
+
+        if (maxAgeDays) {
+            const result = await this.Deployment.deleteMany({ timestamp: { $lt: new Date(Date.now() - maxAgeDays * DAY) } });
+            removed += result.deletedCount;
+        }
+
+        if (maxPerProject) {
+            for (const project of await this.Deployment.distinct('project')) {
+                const expired = await this.Deployment.find({ project }).sort(MONGO_SORT).skip(maxPerProject).select('_id').lean();
+                if (expired.length > 0) {
+                    const result = await this.Deployment.deleteMany({ _id: { $in: expired.map(document => document._id) } });
+                    removed += result.deletedCount;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    async close() {
+        if (this.connection) {
+            await this.connection.close();
+        }
+    }
+}
+
+// Crear el almacén configurado por entorno (HISTORY_STORE=file|mongo)
+const createHistoryStore = (type) => {
+    switch (type) {
+        case 'mongo':
+            return new MongoHistoryStore({
+                uri: process.env.HISTORY_MONGODB_URI || process.env.MONGODB_URI || 'mongodb://localhost:27017/websocket'
+            });
+        case 'file':
+        case undefined:
+        case '':
+            return new FileHistoryStore({
+                filePath: process.env.HISTORY_FILE || path.join(__dirname, 'data', 'deployment-history.jsonl'),
+                legacyFilePath: path.join(__dirname, 'deployment-history.json')
+            });
+        default:
+            throw new Error(`Almacén de historial desconocido: ${type}`);
+    }
+};
+
+// Retención: al arrancar y cada HISTORY_PRUNE_INTERVAL ms se eliminan los deployments con más de
+// HISTORY_RETENTION_DAYS días y los que excedan HISTORY_MAX_PER_PROJECT por proyecto (0 desactiva cada límite)
+const startRetention = async (store) => {
+    const retention = {
+        maxAgeDays: parseInt(process.env.HISTORY_RETENTION_DAYS ?? 180) || 0,
+        maxPerProject: parseInt(process.env.HISTORY_MAX_PER_PROJECT ?? 200) || 0
+    };
+    const interval = parseInt(process.env.HISTORY_PRUNE_INTERVAL) || 60 * 60 * 1000;
+
+    const prune = async () => {
+        try {
+            const removed = await store.prune(retention);
+            if (removed > 0) {
+                console.log(`🧹 Retención del historial: ${removed} deployments eliminados`);
+            }
+        } catch (error) {
+            console.error('❌ Error aplicando la retención del historial:', error);
+        }
+    };
+
+    await prune();
+    const timer = setInterval(prune, interval);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    FileHistoryStore,
+    MongoHistoryStore,
+    createHistoryStore,
+    startRetention
+};
@@ -0,0 +1,166 @@
+// Deployments como máquina de estados, alimentada por los eventos de etapa del pipeline de CI:
+//   queued → building → deploying → succeeded | failed | rolled-back
+// Una etapa que empieza adelanta el estado según su nombre (las que contienen "deploy" pasan a
+// deploying; el resto, a building); nunca lo hace retroceder. Una etapa fallida deja el deployment
+// en failed, y un deployment terminado (succeeded o failed) todavía puede pasar a rolled-back.
+
+const STATES = ['queued', 'building', 'deploying', 'succeeded', 'failed', 'rolled-back'];
+
+const TRANSITIONS = {
+    queued: ['building', 'deploying', 'failed'],
+    building: ['deploying', 'succeeded', 'failed'],
+    deploying: ['succeeded', 'failed', 'rolled-back'],
+    succeeded: ['rolled-back'],
+    failed: ['rolled-back'],
+    'rolled-back': []
+};
+
+// Orden de los estados en curso: una etapa nunca hace retroceder el deployment
+const PROGRESS_RANK = { queued: 0, building: 1, deploying: 2 };
+
+const STAGE_EVENTS = ['stage-started', 'stage-finished', 'stage-failed'];
+const FINAL_EVENTS = ['succeeded', 'failed', 'rolled-back'];
+
+// status (campo anterior a los estados, el que usan los clientes de app-updated) de cada estado
+const STATUS_BY_STATE = {
+    queued: 'pending',
+    building: 'pending',
+    deploying: 'pending',
+    succeeded: 'success',
+    failed: 'failed',
+    'rolled-back': 'rolled-back'
+};
+
+// Máximo de caracteres guardados del log de una etapa (se conserva el final, donde suele estar el error)
+const LOG_EXCERPT_MAX = parseInt(process.env.DEPLOYMENT_LOG_EXCERPT_MAX) || 4000;
+
+const DEPLOY_STAGE_PATTERN = /deploy/i;
+
+const isInProgress = (state) => state in PROGRESS_RANK;
+
+const stageState = (stage) => (DEPLOY_STAGE_PATTERN.test(stage) ? 'deploying' : 'building');
+
+// Estado de cada status admitido en los deployments notificados de una vez (/notify-deployment,
+// /notify-update). Un status en curso deja el deployment abierto a eventos de progreso.
+const STATE_BY_STATUS = {
+    pending: 'queued',
+    started: 'building',
+    running: 'building',
+    deploying: 'deploying',
+    success: 'succeeded',
+    failed: 'failed',
+    failure: 'failed',
+    aborted: 'failed',
+    'rolled-back': 'rolled-back'
+};
+
+const DEPLOYMENT_STATUSES = Object.keys(STATE_BY_STATUS);
+
+// null si el status no es uno de DEPLOYMENT_STATUSES
+const stateFromStatus = (status) => (Object.hasOwn(STATE_BY_STATUS, status) ? STATE_BY_STATUS[status] : null);
+
+const statusForState = (state) => STATUS_BY_STATE[state];
+
+const toLogExcerpt = (log) => (log.length > LOG_EXCERPT_MAX ? `…${log.slice(-LOG_EXCERPT_MAX)}` : log);
+
+// Validar el body de POST /deployments/:id/events: { event } o { error }
+const parseDeploymentEvent = (body = {}) => {
+    const { type, stage, timestamp, durationMs, log } = body;
+
+    if (![...STAGE_EVENTS, ...FINAL_EVENTS].includes(type)) {
+        return { error: `type debe ser uno de: ${[...STAGE_EVENTS, ...FINAL_EVENTS].join(', ')}` };
+    }
+    if (STAGE_EVENTS.includes(type) && !(typeof stage === 'string' && stage.trim() && stage.length <= 100)) {
+        return { error: 'stage es obligatorio en los eventos de etapa (máximo 100 caracteres)' };
+    }
+    if (timestamp !== undefined && Number.isNaN(new Date(timestamp).getTime())) {
+        return { error: 'Timestamp inválido' };
+    }
+    if (durationMs !== undefined && !(Number.isInteger(durationMs) && durationMs >= 0)) {
+        return { error: 'durationMs debe ser un entero no negativo' };
+    }
+    if (log !== undefined && typeof log !== 'string') {
+        return { error: 'log debe ser un texto' };
+    }
+
+    return {
+        event: {
+            type,
+            stage: STAGE_EVENTS.includes(type) ? stage.trim() : null,
+            timestamp: new Date(timestamp ?? Date.now()).toISOString(),
+            durationMs: durationMs ?? null,
+            log: log === undefined ? null : toLogExcerpt(log)
+        }
+    };
+};
+
+// Aplicar un evento a un deployment: { changes } con los campos a actualizar, o { error } si la
+// transición no está permitida
+const applyDeploymentEvent = (deployment, event) => {
+    const { state } = deployment;
+    if (!STATES.includes(state)) {
+        return { error: 'El deployment no admite eventos de progreso' };
+    }
+
+    // Las etapas de un deployment terminado ya no cambian (solo admite el paso a rolled-back)
+    if (STAGE_EVENTS.includes(event.type) && !isInProgress(state)) {
+        return { error: `El deployment ya ha terminado (${state})` };
+    }
+
+    const stages = (deployment.stages || []).map(stage => ({ ...stage }));
+    let nextState = state;
+
+    if (event.type === 'stage-started') {
+        const stage = { name: event.stage, status: 'running', startedAt: event.timestamp, finishedAt: null, durationMs: null, log: null };
+        const index = stages.findIndex(existing => existing.name === event.stage);
+        if (index === -1) {
+            stages.push(stage);
+        } else {
+            stages[index] = stage; // reintento de la etapa
+        }
+        const candidate = stageState(event.stage);
+        nextState = PROGRESS_RANK[candidate] > PROGRESS_RANK[state] ? candidate : state;
+    } else if (STAGE_EVENTS.includes(event.type)) {
+        let stage = stages.find(existing => existing.name === event.stage);
+        if (!stage) {
+            stage = { name: event.stage, startedAt: null };
+            stages.push(stage);
+        }
+        const elapsed = stage.startedAt ? Math.max(0, Date.parse(event.timestamp) - Date.parse(stage.startedAt)) : null;
+        Object.assign(stage, {
+            status: event.type === 'stage-finished' ? 'succeeded' : 'failed',
+            finishedAt: event.timestamp,
+            durationMs: event.durationMs ?? elapsed,
+            log: event.log ?? stage.log ?? null
+        });
+        if (event.type === 'stage-failed') {
+            nextState = 'failed';
+        }
+    } else {
+        nextState = event.type;
+    }
+
+    if (nextState !== state && !TRANSITIONS[state].includes(nextState)) {
+        return { error: `Transición no permitida: ${state} → ${nextState}` };
+    }
+
+    return {
+        changes: {
+            state: nextState,
+            status: statusForState(nextState),
+            stages,
+            ...(nextState !== state && !isInProgress(nextState) && { finishedAt: event.timestamp }),
+            // Motivo del final (p. ej. de un rollback)
+            ...(FINAL_EVENTS.includes(event.type) && event.log && { log: event.log })
+        }
+    };
+};
+
+module.exports = {
+    STATES,
+    DEPLOYMENT_STATUSES,
+    isInProgress,
+    stateFromStatus,
+    parseDeploymentEvent,
+    applyDeploymentEvent
+};
@@ -0,0 +1,176 @@
+const {
+    isInProgress,
+    stateFromStatus,
+    parseDeploymentEvent,
+    applyDeploymentEvent
+} = require('./pipeline');
+
+const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 12, 0, seconds)).toISOString();
+
+const event = (body) => {
+    const { event: parsed, error } = parseDeploymentEvent(body);
+    if (error) {
+        throw new Error(error);
+    }
+    return parsed;
+};
+
+// Aplicar varios eventos seguidos, fallando en el primero que no se admita
+const replay = (deployment, events) => events.reduce((current, body) => {
+    const { changes, error } = applyDeploymentEvent(current, event(body));
+    if (error) {
+        throw new Error(error);
+    }
+    return { ...current, ...changes };
+}, deployment);
+
+describe('stateFromStatus', () => {
+    test.each([
+        ['pending', 'queued'],
+        ['started', 'building'],
+        ['running', 'building'],
+        ['deploying', 'deploying'],
+        ['success', 'succeeded'],
+        ['failed', 'failed'],
+        ['failure', 'failed'],
+        ['aborted', 'failed'],
+        ['rolled-back', 'rolled-back']
+    ])('%s → %s', (status, state) => {
+        expect(stateFromStatus(status)).toBe(state);
+    });
+
+    test('devuelve null para status desconocidos', () => {
+        expect(stateFromStatus('unknown')).toBeNull();
+        expect(stateFromStatus('toString')).toBeNull();
+        expect(stateFromStatus(undefined)).toBeNull();
+    });
+
+    test('solo los estados iniciales están en curso', () => {
+        expect(['queued', 'building', 'deploying'].every(isInProgress)).toBe(true);
+        expect(['succeeded', 'failed', 'rolled-back'].some(isInProgress)).toBe(false);
+    });
+});
+
+describe('parseDeploymentEvent', () => {
+    test('rechaza un type desconocido', () => {
+        expect(parseDeploymentEvent({ type: 'stage-skipped', stage: 'Build' }).error).toMatch(/^type debe ser uno de/);
+        expect(parseDeploymentEvent().error).toMatch(/^type debe ser uno de/);
+    });
+
+    test('exige stage en los eventos de etapa', () => {
+        expect(parseDeploymentEvent({ type: 'stage-started' }).error).toMatch(/stage es obligatorio/);
+        expect(parseDeploymentEvent({ type: 'stage-started', stage: '   ' }).error).toMatch(/stage es obligatorio/);
+        expect(parseDeploymentEvent({ type: 'stage-started', stage: 'x'.repeat(101) }).error).toMatch(/stage es obligatorio/);
+    });
+
+    test('valida timestamp, durationMs y log', () => {
+        expect(parseDeploymentEvent({ type: 'succeeded', timestamp: 'ayer' }).error).toBe('Timestamp inválido');
+        expect(parseDeploymentEvent({ type: 'succeeded', durationMs: -1 }).error).toMatch(/durationMs/);
+        expect(parseDeploymentEvent({ type: 'succeeded', durationMs: 1.5 }).error).toMatch(/durationMs/);
+        expect(parseDeploymentEvent({ type: 'succeeded', log: 42 }).error).toBe('log debe ser un texto');
+    });
+
+    test('normaliza el evento', () => {
+        expect(parseDeploymentEvent({ type: 'stage-finished', stage: ' Build ', timestamp: at(5), durationMs: 1200 })).toEqual({
+            event: { type: 'stage-finished', stage: 'Build', timestamp: at(5), durationMs: 1200, log: null }
+        });
+        expect(parseDeploymentEvent({ type: 'rolled-back', stage: 'Build' }).event.stage).toBeNull();
+    });
+
+    test('conserva solo el final de un log largo', () => {
+        const log = `${'a'.repeat(100)}${'b'.repeat(4000)}`;
+        expect(parseDeploymentEvent({ type: 'failed', log }).event.log).toBe(`…${'b'.repeat(4000)}`);
+    });
+});
+
+describe('applyDeploymentEvent', () => {
+    const queued = { state: 'queued', status: 'pending', stages: [] };
+
+    test('recorre queued → building → deploying → succeeded', () => {
+        const deployment = replay(queued, [
+            { type: 'stage-started', stage: 'Build', timestamp: at(0) },
+            { type: 'stage-finished', stage: 'Build', timestamp: at(10) },
+            { type: 'stage-started', stage: 'Deploy to production', timestamp: at(11) },
+            { type: 'stage-finished', stage: 'Deploy to production', timestamp: at(20) },
+            { type: 'succeeded', timestamp: at(21) }
+        ]);
+
+        expect(deployment).toMatchObject({ state: 'succeeded', status: 'success', finishedAt: at(21) });
+        expect(deployment.stages).toEqual([
+            { name: 'Build', status: 'succeeded', startedAt: at(0), finishedAt: at(10), durationMs: 10000, log: null },
+            { name: 'Deploy to production', status: 'succeeded', startedAt: at(11), finishedAt: at(20), durationMs: 9000, log: null }
+        ]);
+    });
+
+    test('una etapa nunca hace retroceder el estado', () => {
+        const deployment = replay(queued, [
+            { type: 'stage-started', stage: 'Deploy', timestamp: at(0) },
+            { type: 'stage-started', stage: 'Smoke tests', timestamp: at(1) }
+        ]);
+
+        expect(deployment.state).toBe('deploying');
+    });
+
+    test('una etapa fallida deja el deployment en failed con su log', () => {
+        const deployment = replay(queued, [
+            { type: 'stage-started', stage: 'Build', timestamp: at(0) },
+            { type: 'stage-failed', stage: 'Build', timestamp: at(3), log: 'npm ERR!' }
+        ]);
+
+        expect(deployment).toMatchObject({ state: 'failed', status: 'failed', finishedAt: at(3) });
+        expect(deployment.stages[0]).toMatchObject({ status: 'failed', durationMs: 3000, log: 'npm ERR!' });
+    });
+
+    test('reintentar una etapa la reinicia', () => {
+        const deployment = replay(queued, [
+            { type: 'stage-started', stage: 'Build', timestamp: at(0) },
+            { type: 'stage-started', stage: 'Build', timestamp: at(5) }
+        ]);
+
+        expect(deployment.stages).toEqual([
+            { name: 'Build', status: 'running', startedAt: at(5), finishedAt: null, durationMs: null, log: null }
+        ]);
+    });
+
+    test('no modifica el deployment recibido', () => {
+        const deployment = { state: 'building', stages: [{ name: 'Build', status: 'running', startedAt: at(0) }] };
+        applyDeploymentEvent(deployment, event({ type: 'stage-finished', stage: 'Build', timestamp: at(1) }));
+
+        expect(deployment.stages[0].status).toBe('running');
+    });
+
+    test('un deployment terminado puede pasar a rolled-back', () => {
+        const { changes } = applyDeploymentEvent(
+            { state: 'succeeded', stages: [] },
+            event({ type: 'rolled-back', timestamp: at(30), log: 'Error 500 en /health' })
+        );
+
+        expect(changes).toMatchObject({ state: 'rolled-back', status: 'rolled-back', finishedAt: at(30), log: 'Error 500 en /health' });
+    });
+
+    test.each([
+        ['queued', 'succeeded'],
+        ['queued', 'rolled-back'],
+        ['building', 'rolled-back'],
+        ['succeeded', 'failed'],
+        ['failed', 'succeeded'],
+        ['rolled-back', 'succeeded']
+    ])('rechaza la transición %s → %s', (state, type) => {
+        expect(applyDeploymentEvent({ state, stages: [] }, event({ type })).error)
+            .toBe(`Transición no permitida: ${state} → ${type}`);
+    });
+
+    test.each(['succeeded', 'failed', 'rolled-back'])('congela las etapas de un deployment %s', (state) => {
+        const stages = [{ name: 'Build', status: 'succeeded' }];
+
+        for (const type of ['stage-started', 'stage-finished', 'stage-failed']) {
+            expect(applyDeploymentEvent({ state, stages }, event({ type, stage: 'Build' })))
+                .toEqual({ error: `El deployment ya ha terminado (${state})` });
+        }
+    });
+
+    test('rechaza eventos en deployments sin estado', () => {
+        expect(applyDeploymentEvent({ status: 'success' }, event({ type: 'succeeded' })).error)
+            .toBe('El deployment no admite eventos de progreso');
+    });
+});
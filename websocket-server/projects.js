@@ -0,0 +1,103 @@
+// Suscripciones de los clientes a proyectos (y opcionalmente a un entorno) con rooms de Socket.IO.
+// Cada cliente recibe solo los app-updated de lo que ha suscrito:
+//   project:<proyecto>               todos los deployments del proyecto
+//   project:<proyecto>@<entorno>     solo los deployments del proyecto en ese entorno
+// Mientras un cliente no se suscribe a nada sigue en ALL_PROJECTS_ROOM y lo recibe todo,
+// como antes de existir las suscripciones (se desactiva con WS_LEGACY_BROADCAST=false).
+
+const ALL_PROJECTS_ROOM = 'all-projects';
+const LEGACY_BROADCAST = process.env.WS_LEGACY_BROADCAST !== 'false';
+
+// Nombres de job de Jenkins (pueden llevar carpetas y espacios) y de entorno
+const PROJECT_PATTERN = /^[\w][\w ./-]{0,99}$/;
+const ENVIRONMENT_PATTERN = /^[\w.-]{1,50}$/;
+
+const MAX_SUBSCRIPTIONS = parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 50;
+
+const isValidProject = (project) => typeof project === 'string' && PROJECT_PATTERN.test(project);
+
+const isValidEnvironment = (environment) => typeof environment === 'string' && ENVIRONMENT_PATTERN.test(environment);
+
+const projectRoom = (project, environment) => (environment ? `project:${project}@${environment}` : `project:${project}`);
+
+// Rooms que deben recibir un deployment: las del proyecto, la de su entorno y la de los no suscritos
+const deploymentRooms = ({ project, environment }) => [
+    ...(LEGACY_BROADCAST ? [ALL_PROJECTS_ROOM] : []),
+    projectRoom(project),
+    ...(environment ? [projectRoom(project, environment)] : [])
+];
+
+// Payload de subscribe/unsubscribe: { project, environment? } o directamente el nombre del proyecto
+const parseSubscription = (payload) => {
+    const { project, environment = null } = typeof payload === 'string' ? { project: payload } : (payload || {});
+
+    if (!isValidProject(project)) {
+        return { error: 'Proyecto inválido' };
+    }
+    if (environment !== null && !isValidEnvironment(environment)) {
+        return { error: 'Entorno inválido' };
+    }
+    return { project, environment };
+};
+
+// El ack es opcional: socket.emit('subscribe', { project }, (response) => ...)
+const reply = (ack, response) => {
+    if (typeof ack === 'function') {
+        ack(response);
+    }
+};
+
+// Eventos subscribe/unsubscribe de un socket. onSubscribe(socket, { project, environment })
+// envía al cliente el estado actual del proyecto.
+const registerSubscriptionHandlers = (socket, onSubscribe) => {
+    socket.data.subscriptions = new Set();
+
+    if (LEGACY_BROADCAST) {
+        socket.join(ALL_PROJECTS_ROOM);
+    }
+
+    socket.on('subscribe', (payload, ack) => {
+        const subscription = parseSubscription(payload);
+        if (subscription.error) {
+            return reply(ack, { success: false, error: subscription.error });
+        }
+
+        const room = projectRoom(subscription.project, subscription.environment);
+        const { subscriptions } = socket.data;
+        if (!subscriptions.has(room) && subscriptions.size >= MAX_SUBSCRIPTIONS) {
+            return reply(ack, { success: false, error: `Máximo de ${MAX_SUBSCRIPTIONS} suscripciones por conexión` });
+        }
+
+        subscriptions.add(room);
+        socket.leave(ALL_PROJECTS_ROOM);
+        socket.join(room);
+        console.log(`📌 ${socket.id} suscrito a ${room}`);
+
+        reply(ack, { success: true, ...subscription, subscriptions: [...subscriptions] });
+        onSubscribe(socket, subscription);
+    });
+
+    socket.on('unsubscribe', (payload, ack) => {
+        const subscription = parseSubscription(payload);
+        if (subscription.error) {
+            return reply(ack, { success: false, error: subscription.error });
+        }
+
+        const room = projectRoom(subscription.project, subscription.environment);
+        socket.data.subscriptions.delete(room);
+        socket.leave(room);
+        console.log(`📌 ${socket.id} deja ${room}`);
+
+        reply(ack, { success: true, ...subscription, subscriptions: [...socket.data.subscriptions] });
+    });
+};
+
+module.exports = {
+    ALL_PROJECTS_ROOM,
+    LEGACY_BROADCAST,
+    isValidProject,
+    isValidEnvironment,
+    projectRoom,
+    deploymentRooms,
+    registerSubscriptionHandlers
+};
@@ -2,62 +2,142 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
+const { ALLOW_ANONYMOUS, INTROSPECTION_ENABLED, socketAuthMiddleware, startRevalidation } = require('./auth');
+const { captureRawBody, verifyWebhook, getWebhookStats } = require('./webhooks');
+const { createHistoryStore, startRetention } = require('./historyStore');
+const { STATES, DEPLOYMENT_STATUSES, isInProgress, stateFromStatus, parseDeploymentEvent, applyDeploymentEvent } = require('./pipeline');
+const {
+    ALL_PROJECTS_ROOM,
+    isValidProject,
+    isValidEnvironment,
+    projectRoom,
+    deploymentRooms,
+    registerSubscriptionHandlers
+} = require('./projects');
 
 const app = express();
 const server = http.createServer(app);
 
-// Configuración de CORS para permitir conexiones desde cualquier origen
+// Orígenes permitidos para Socket.IO (WS_CORS_ORIGINS separados por coma; por defecto cualquiera)
+const corsOrigins = process.env.WS_CORS_ORIGINS
+    ? process.env.WS_CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : '*';
+
 const io = socketIo(server, {
     cors: {
-        origin: "*",
+        origin: corsOrigins,
         methods: ["GET", "POST"]
     }
 });
 
+// Sin introspección un usuario desactivado o bloqueado seguiría conectado hasta que caducara su token
+if (!ALLOW_ANONYMOUS && !INTROSPECTION_ENABLED) {
+    console.error('❌ INTROSPECTION_CLIENT_SECRET es obligatorio (salvo con WS_ALLOW_ANONYMOUS=true)');
+    process.exit(1);
+}
+
+// Autenticación en el handshake con el access token del auth-service y revalidación periódica
+io.use(socketAuthMiddleware);
+startRevalidation(io);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Se guarda el body crudo: la firma de los webhooks se calcula sobre él
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
+// Correlación de peticiones: aceptar el X-Request-ID del API Gateway (o generar uno) y devolverlo
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const resolveRequestId = (incoming) => {
+    return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+};
+
+app.use((req, res, next) => {
+    req.id = resolveRequestId(req.get('X-Request-ID'));
+    res.set('X-Request-ID', req.id);
+    next();
+});
+
 // Puerto del servidor
 const PORT = process.env.PORT || 6003;
 
-// Almacenamiento en memoria para el historial de deployments
-let deploymentHistory = [];
-let latestVersion = null;
+// Historial de deployments (HISTORY_STORE=file|mongo)
+const historyStore = createHistoryStore(process.env.HISTORY_STORE);
 
-// Función para guardar historial en archivo
-const saveHistoryToFile = () => {
-    try {
-        const historyFile = path.join(__dirname, 'deployment-history.json');
-        fs.writeFileSync(historyFile, JSON.stringify({
-            deploymentHistory,
-            latestVersion
-        }, null, 2));
-    } catch (error) {
-        console.error('Error guardando historial:', error);
-    }
+// Últimos deployments, del más antiguo al más reciente (formato del evento deployment-history)
+const recentDeployments = async (filters = {}, count = 10) => {
+    const { deployments } = await historyStore.find(filters, { limit: count });
+    return deployments.reverse();
 };
 
-// Función para cargar historial desde archivo
-const loadHistoryFromFile = () => {
-    try {
-        const historyFile = path.join(__dirname, 'deployment-history.json');
-        if (fs.existsSync(historyFile)) {
-            const data = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
-            deploymentHistory = data.deploymentHistory || [];
-            latestVersion = data.latestVersion || null;
-            console.log(`📋 Historial cargado: ${deploymentHistory.length} deployments`);
-        }
-    } catch (error) {
-        console.error('Error cargando historial:', error);
+// Última versión desplegada con éxito de un proyecto (y entorno); sin filtros, la de cualquier proyecto
+const findLatestVersion = async (filters = {}) => {
+    const { deployments } = await historyStore.find({ ...filters, status: 'success' }, { limit: 1 });
+    return deployments[0] || null;
+};
+
+const STATUS_PATTERN = /^[\w-]{1,30}$/;
+
+const parseInteger = (value, min, max) => {
+    const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : NaN;
+    return number >= min && number <= max ? number : null;
+};
+
+const parseDate = (value) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? new Date(value) : null);
+
+// Filtros y paginación de la query (?project=&environment=&status=&buildNumber=&from=&to=&page=&limit=);
+// { error } si algún valor no es válido
+const parseDeploymentQuery = (query) => {
+    const { project, environment, status, state, buildNumber, from, to, page = '1', limit = '20' } = query;
+    const filters = {
+        project,
+        environment,
+        status,
+        state,
+        buildNumber: buildNumber === undefined ? undefined : parseInteger(buildNumber, 0, Number.MAX_SAFE_INTEGER),
+        from: from === undefined ? undefined : parseDate(from),
+        to: to === undefined ? undefined : parseDate(to)
+    };
+    const pagination = {
+        page: parseInteger(page, 1, 10000),
+        limit: parseInteger(limit, 1, 100)
+    };
+
+    if ((project !== undefined && !isValidProject(project)) || (environment !== undefined && !isValidEnvironment(environment))) {
+        return { error: 'Filtro de proyecto o entorno inválido' };
+    }
+    if (status !== undefined && !(typeof status === 'string' && STATUS_PATTERN.test(status))) {
+        return { error: 'Filtro de estado inválido' };
     }
+    if (state !== undefined && !STATES.includes(state)) {
+        return { error: `state debe ser uno de: ${STATES.join(', ')}` };
+    }
+    if (filters.buildNumber === null) {
+        return { error: 'buildNumber debe ser un entero' };
+    }
+    if (filters.from === null || filters.to === null || (filters.from && filters.to && filters.from > filters.to)) {
+        return { error: 'Rango de fechas inválido (from y to en ISO 8601, from <= to)' };
+    }
+    if (pagination.page === null || pagination.limit === null) {
+        return { error: 'page debe ser un entero positivo y limit un entero entre 1 y 100' };
+    }
+    return { filters, ...pagination };
 };
 
-// Cargar historial al iniciar
-loadHistoryFromFile();
+// Historial de todos los proyectos para un cliente sin suscripciones
+const sendAllProjectsHistory = async (socket) => {
+    const deployments = await recentDeployments();
+    if (deployments.length > 0) {
+        socket.emit('deployment-history', deployments); // Últimos 10
+    }
+    
+    const latestVersion = await findLatestVersion();
+    if (latestVersion) {
+        socket.emit('latest-version', { latestVersion });
+    }
+};
 
 // Contador de clientes conectados
 let connectedClients = 0;
@@ -65,23 +145,33 @@ let connectedClients = 0;
 // Eventos de WebSocket
 io.on('connection', (socket) => {
     connectedClients++;
+    const { user } = socket.data;
     console.log(`🔌 Cliente conectado. Total: ${connectedClients}`);
     console.log(`   ID: ${socket.id}`);
+    console.log(`   Usuario: ${user ? `${user.usuario} (${user.rol})` : 'anónimo'}`);
     console.log(`   IP: ${socket.handshake.address}`);
+    console.log(`   Request ID: ${resolveRequestId(socket.handshake.headers['x-request-id'])}`);
     
-    // Enviar historial al cliente recién conectado
-    if (deploymentHistory.length > 0) {
-        socket.emit('deployment-history', deploymentHistory.slice(-10)); // Últimos 10
-    }
+    // Suscripciones a proyectos: al suscribirse se envía el historial y la versión actual del proyecto
+    registerSubscriptionHandlers(socket, async (subscribedSocket, subscription) => {
+        try {
+            subscribedSocket.emit('deployment-history', await recentDeployments(subscription));
+            subscribedSocket.emit('latest-version', { ...subscription, latestVersion: await findLatestVersion(subscription) });
+        } catch (error) {
+            console.error(`❌ Error enviando el historial de ${subscription.project} a ${subscribedSocket.id}:`, error);
+        }
+    });
     
-    // Enviar versión actual si existe
-    if (latestVersion) {
-        socket.emit('latest-version', { latestVersion });
+    // Los clientes sin suscripciones reciben el historial de todos los proyectos
+    if (socket.rooms.has(ALL_PROJECTS_ROOM)) {
+        sendAllProjectsHistory(socket).catch(error => {
+            console.error(`❌ Error enviando el historial a ${socket.id}:`, error);
+        });
     }
     
     socket.on('disconnect', () => {
         connectedClients--;
-        console.log(`❌ Cliente desconectado. Total: ${connectedClients}`);
+        console.log(`❌ Cliente desconectado (${socket.id}). Total: ${connectedClients}`);
     });
     
     // Evento para verificar conexión
@@ -90,10 +180,65 @@ io.on('connection', (socket) => {
     });
 });
 
-// Endpoint para recibir notificaciones de Jenkins
-app.post('/notify-deployment', (req, res) => {
+// Clientes distintos en un conjunto de rooms
+const countClients = (rooms) => {
+    const socketIds = new Set();
+    for (const room of rooms) {
+        for (const socketId of io.sockets.adapter.rooms.get(room) || []) {
+            socketIds.add(socketId);
+        }
+    }
+    return socketIds.size;
+};
+
+// Enviar un deployment solo a los clientes suscritos a su proyecto (o a su entorno) y a los no suscritos.
+// Devuelve cuántos clientes lo reciben.
+const publishDeployment = async (versionInfo, { notify }) => {
+    const { project, environment } = versionInfo;
+    const rooms = deploymentRooms(versionInfo);
+    
+    if (notify) {
+        io.to(rooms).emit('app-updated', versionInfo);
+    }
+    
+    // Historial actualizado: cada cliente recibe el de lo que tiene suscrito
+    io.to(ALL_PROJECTS_ROOM).emit('deployment-history', await recentDeployments());
+    io.to(projectRoom(project)).emit('deployment-history', await recentDeployments({ project }));
+    if (environment) {
+        io.to(projectRoom(project, environment))
+            .except(projectRoom(project))
+            .emit('deployment-history', await recentDeployments({ project, environment }));
+    }
+    
+    return countClients(rooms);
+};
+
+const badRequest = (req, res, error) => {
+    res.status(400).json({
+        success: false,
+        error,
+        requestId: req.id
+    });
+};
+
+// Respuesta 400 si el proyecto, el entorno o la fecha de una notificación no son válidos
+const rejectInvalidNotification = (req, res, { project, environment, timestamp }) => {
+    if (!isValidProject(project) || (environment !== null && !isValidEnvironment(environment))) {
+        console.warn(`⚠️ [${req.id}] Notificación con proyecto o entorno inválido: ${project} / ${environment}`);
+        badRequest(req, res, 'Proyecto o entorno inválido');
+        return true;
+    }
+    if (Number.isNaN(new Date(timestamp).getTime())) {
+        badRequest(req, res, 'Timestamp inválido');
+        return true;
+    }
+    return false;
+};
+
+// Endpoint para recibir notificaciones de Jenkins (webhook firmado)
+app.post('/notify-deployment', verifyWebhook, async (req, res) => {
     try {
-        console.log('🚀 Notificación de deployment recibida de Jenkins:');
+        console.log(`🚀 [${req.id}] Notificación de deployment recibida (${req.webhookSource}):`);
         console.log('Headers:', req.headers);
         console.log('Body:', req.body);
         
@@ -101,141 +246,363 @@ app.post('/notify-deployment', (req, res) => {
             buildNumber,
             gitCommit,
             project = 'react-actualizable',
+            environment = null,
             status = 'success',
             deployUrl = 'http://192.168.11.7:2000',
             timestamp = new Date().toISOString()
         } = req.body;
         
+        if (rejectInvalidNotification(req, res, { project, environment, timestamp })) {
+            return;
+        }
+        
+        const state = stateFromStatus(status);
+        if (!state) {
+            return badRequest(req, res, `status debe ser uno de: ${DEPLOYMENT_STATUSES.join(', ')}`);
+        }
+        
         // Crear objeto de versión
         const versionInfo = {
             version: `Build #${buildNumber}`,
             commit: gitCommit?.substring(0, 8) || 'unknown',
             fullCommit: gitCommit || 'unknown',
             project,
+            environment,
             status,
+            state,
             deployUrl,
-            timestamp,
+            timestamp: new Date(timestamp).toISOString(),
             buildNumber: parseInt(buildNumber) || 0
         };
         
-        // Actualizar versión actual
-        latestVersion = versionInfo;
-        
         // Agregar al historial
-        deploymentHistory.push(versionInfo);
-        
-        // Mantener solo los últimos 50 deployments
-        if (deploymentHistory.length > 50) {
-            deploymentHistory = deploymentHistory.slice(-50);
-        }
+        const deployment = await historyStore.add(versionInfo);
         
-        // Guardar en archivo
-        saveHistoryToFile();
-        
-        // Notificar a todos los clientes conectados
+        // Notificar a los clientes suscritos al proyecto
+        const clientsNotified = await publishDeployment(deployment, { notify: status === 'success' });
         if (status === 'success') {
-            console.log(`📢 Enviando notificación a ${connectedClients} clientes`);
-            io.emit('app-updated', versionInfo);
+            console.log(`📢 [${req.id}] Enviando notificación de ${project} a ${clientsNotified} clientes`);
         }
         
-        // Enviar historial actualizado
-        io.emit('deployment-history', deploymentHistory.slice(-10));
-        
         res.json({
             success: true,
             message: 'Notificación enviada correctamente',
-            clientsNotified: connectedClients,
-            versionInfo
+            clientsNotified,
+            versionInfo: deployment
         });
         
     } catch (error) {
-        console.error('❌ Error procesando notificación:', error);
+        console.error(`❌ [${req.id}] Error procesando notificación:`, error);
         res.status(500).json({
             success: false,
-            error: error.message
+            error: error.message,
+            requestId: req.id
         });
     }
 });
 
-// Endpoint para notificaciones de microservicios (usado por arquitectura-microservicios)
-app.post('/notify-update', (req, res) => {
+// Endpoint para notificaciones de microservicios (usado por arquitectura-microservicios; webhook firmado)
+app.post('/notify-update', verifyWebhook, async (req, res) => {
     try {
-        console.log('🔄 Notificación de actualización recibida de Jenkins (Microservicios):');
+        console.log(`🔄 [${req.id}] Notificación de actualización recibida (${req.webhookSource}, Microservicios):`);
         console.log('Headers:', req.headers);
         console.log('Body:', req.body);
         
         const {
             version,
             project = 'microservicios-arquitectura',
+            environment = null,
             timestamp = Date.now()
         } = req.body;
         
+        if (rejectInvalidNotification(req, res, { project, environment, timestamp })) {
+            return;
+        }
+        
         // Crear objeto de versión para microservicios
         const versionInfo = {
             version: version || `Update #${Date.now()}`,
             commit: 'microservices-update',
             fullCommit: 'microservices-update',
             project,
+            environment,
             status: 'success',
+            state: 'succeeded',
             deployUrl: 'http://192.168.11.7:8080',
             timestamp: new Date(timestamp).toISOString(),
             buildNumber: parseInt(version?.replace('v', '')) || Date.now()
         };
         
-        // Actualizar versión actual
-        latestVersion = versionInfo;
-        
         // Agregar al historial
-        deploymentHistory.push(versionInfo);
+        const deployment = await historyStore.add(versionInfo);
+        
+        // Notificar a los clientes suscritos al proyecto
+        const clientsNotified = await publishDeployment(deployment, { notify: true });
+        console.log(`📢 [${req.id}] Enviando notificación de microservicios (${project}) a ${clientsNotified} clientes`);
+        
+        res.json({
+            success: true,
+            message: 'Notificación de microservicios enviada correctamente',
+            clientsNotified,
+            versionInfo: deployment
+        });
+        
+    } catch (error) {
+        console.error(`❌ [${req.id}] Error procesando notificación de microservicios:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            requestId: req.id
+        });
+    }
+});
+
+// Los eventos de un mismo deployment se aplican de uno en uno (leer, aplicar y guardar)
+const deploymentLocks = new Map();
+
+const withDeploymentLock = (id, operation) => {
+    const result = (deploymentLocks.get(id) || Promise.resolve()).then(operation);
+    const tail = result.catch(() => {});
+    deploymentLocks.set(id, tail);
+    tail.then(() => {
+        if (deploymentLocks.get(id) === tail) {
+            deploymentLocks.delete(id);
+        }
+    });
+    return result;
+};
+
+// Progreso de un deployment para los paneles: mismas rooms que app-updated
+const publishProgress = (deployment, event) => {
+    io.to(deploymentRooms(deployment)).emit('deployment-progress', { deployment, event });
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Endpoint para registrar un deployment al empezar el pipeline (webhook firmado). El id es opcional:
+// si lo genera el CI, puede enviar los eventos sin leer la respuesta.
+app.post('/deployments', verifyWebhook, async (req, res) => {
+    try {
+        const {
+            id,
+            buildNumber,
+            gitCommit,
+            version,
+            project,
+            environment = null,
+            deployUrl = null,
+            timestamp = new Date().toISOString()
+        } = req.body;
         
-        // Mantener solo los últimos 50 deployments
-        if (deploymentHistory.length > 50) {
-            deploymentHistory = deploymentHistory.slice(-50);
+        if (rejectInvalidNotification(req, res, { project, environment, timestamp })) {
+            return;
+        }
+        if (id !== undefined && !(typeof id === 'string' && UUID_PATTERN.test(id))) {
+            return badRequest(req, res, 'id debe ser un UUID');
         }
         
-        // Guardar en archivo
-        saveHistoryToFile();
+        const deployment = await withDeploymentLock(id, async () => {
+            if (id && await historyStore.findById(id)) {
+                return null;
+            }
+            return historyStore.add({
+                ...(id && { id }),
+                version: version || `Build #${buildNumber}`,
+                commit: gitCommit?.substring(0, 8) || 'unknown',
+                fullCommit: gitCommit || 'unknown',
+                project,
+                environment,
+                status: 'pending',
+                state: 'queued',
+                stages: [],
+                deployUrl,
+                timestamp: new Date(timestamp).toISOString(),
+                buildNumber: parseInt(buildNumber) || 0
+            });
+        });
+        if (!deployment) {
+            return res.status(409).json({
+                success: false,
+                error: 'Ya existe un deployment con ese id',
+                requestId: req.id
+            });
+        }
         
-        // Notificar a todos los clientes conectados
-        console.log(`📢 Enviando notificación de microservicios a ${connectedClients} clientes`);
-        io.emit('app-updated', versionInfo);
+        console.log(`🏗️ [${req.id}] Deployment ${deployment.id} registrado (${project} ${deployment.version})`);
+        publishProgress(deployment, { type: 'queued', timestamp: deployment.receivedAt });
+        await publishDeployment(deployment, { notify: false });
         
-        // Enviar historial actualizado
-        io.emit('deployment-history', deploymentHistory.slice(-10));
+        res.status(201).json({
+            success: true,
+            deployment
+        });
+        
+    } catch (error) {
+        console.error(`❌ [${req.id}] Error registrando deployment:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            requestId: req.id
+        });
+    }
+});
+
+// Endpoint para los eventos de etapa y de final de un deployment (webhook firmado)
+app.post('/deployments/:id/events', verifyWebhook, async (req, res) => {
+    const { event, error } = parseDeploymentEvent(req.body);
+    if (error) {
+        return badRequest(req, res, error);
+    }
+    
+    try {
+        const result = await withDeploymentLock(req.params.id, async () => {
+            const current = await historyStore.findById(req.params.id);
+            if (!current) {
+                return { status: 404, error: 'Deployment no encontrado' };
+            }
+            
+            const { changes, error: transitionError } = applyDeploymentEvent(current, event);
+            if (transitionError) {
+                return { status: 409, error: transitionError };
+            }
+            return { previousState: current.state, deployment: await historyStore.update(current.id, changes) };
+        });
+        
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error,
+                requestId: req.id
+            });
+        }
+        
+        const { deployment, previousState } = result;
+        console.log(`🏗️ [${req.id}] Deployment ${deployment.id}: ${event.type}${event.stage ? ` (${event.stage})` : ''} → ${deployment.state}`);
+        publishProgress(deployment, event);
+        
+        // Al terminar se actualiza el historial y, si ha ido bien, se avisa a las aplicaciones
+        if (deployment.state !== previousState && !isInProgress(deployment.state)) {
+            const clientsNotified = await publishDeployment(deployment, { notify: deployment.state === 'succeeded' });
+            if (deployment.state === 'succeeded') {
+                console.log(`📢 [${req.id}] Enviando notificación de ${deployment.project} a ${clientsNotified} clientes`);
+            }
+        }
         
         res.json({
             success: true,
-            message: 'Notificación de microservicios enviada correctamente',
-            clientsNotified: connectedClients,
-            versionInfo
+            deployment
         });
         
     } catch (error) {
-        console.error('❌ Error procesando notificación de microservicios:', error);
+        console.error(`❌ [${req.id}] Error procesando evento del deployment ${req.params.id}:`, error);
         res.status(500).json({
             success: false,
-            error: error.message
+            error: error.message,
+            requestId: req.id
         });
     }
 });
 
-// Endpoint para obtener la última versión
-app.get('/latest-version', (req, res) => {
-    res.json({
-        latestVersion,
-        deploymentHistory: deploymentHistory.slice(-5)
-    });
+// Endpoint para obtener la última versión (?project=&environment=; sin proyecto, la del último deployment)
+app.get('/latest-version', async (req, res) => {
+    const { filters, error } = parseDeploymentQuery(req.query);
+    if (error) {
+        return badRequest(req, res, error);
+    }
+    
+    try {
+        const { project, environment } = filters;
+        res.json({
+            ...(project ? { project, environment } : { latestVersions: await historyStore.latestByProject({ status: 'success' }) }),
+            latestVersion: await findLatestVersion(filters),
+            deploymentHistory: await recentDeployments(filters, 5)
+        });
+    } catch (error) {
+        console.error(`❌ [${req.id}] Error consultando la última versión:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            requestId: req.id
+        });
+    }
+});
+
+// Endpoint para consultar el historial de deployments, del más reciente al más antiguo
+// (?project=&environment=&status=&buildNumber=&from=&to=&page=&limit=)
+app.get('/deployments', async (req, res) => {
+    const { filters, page, limit, error } = parseDeploymentQuery(req.query);
+    if (error) {
+        return badRequest(req, res, error);
+    }
+    
+    try {
+        const { deployments, total } = await historyStore.find(filters, { skip: (page - 1) * limit, limit });
+        res.json({
+            deployments,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error(`❌ [${req.id}] Error consultando el historial:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            requestId: req.id
+        });
+    }
+});
+
+// Endpoint con el detalle de un deployment
+app.get('/deployments/:id', async (req, res) => {
+    try {
+        const deployment = await historyStore.findById(req.params.id);
+        if (!deployment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Deployment no encontrado',
+                requestId: req.id
+            });
+        }
+        res.json({ deployment });
+    } catch (error) {
+        console.error(`❌ [${req.id}] Error consultando el deployment ${req.params.id}:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            requestId: req.id
+        });
+    }
 });
 
 // Endpoint para obtener estadísticas
-app.get('/stats', (req, res) => {
-    res.json({
-        connectedClients,
-        totalDeployments: deploymentHistory.length,
-        latestVersion,
-        serverUptime: process.uptime(),
-        serverStartTime: new Date(Date.now() - process.uptime() * 1000).toISOString()
-    });
+app.get('/stats', async (req, res) => {
+    try {
+        const [{ total }, latestVersion, latestVersions] = await Promise.all([
+            historyStore.find({}, { limit: 1 }),
+            findLatestVersion(),
+            historyStore.latestByProject({ status: 'success' })
+        ]);
+        res.json({
+            connectedClients,
+            totalDeployments: total,
+            latestVersion,
+            latestVersions,
+            webhooks: getWebhookStats(),
+            serverUptime: process.uptime(),
+            serverStartTime: new Date(Date.now() - process.uptime() * 1000).toISOString()
+        });
+    } catch (error) {
+        console.error(`❌ [${req.id}] Error obteniendo estadísticas:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            requestId: req.id
+        });
+    }
 });
 
 // Endpoint de salud
@@ -255,8 +622,13 @@ app.get('/', (req, res) => {
         status: 'running',
         connectedClients,
         endpoints: {
-            'POST /notify-deployment': 'Recibe notificaciones de Jenkins',
-            'GET /latest-version': 'Obtiene la última versión',
+            'POST /notify-deployment': 'Recibe notificaciones de Jenkins (firmadas)',
+            'POST /notify-update': 'Recibe notificaciones de actualización de microservicios (firmadas)',
+            'GET /latest-version': 'Obtiene la última versión (?project=&environment=)',
+            'GET /deployments': 'Historial de deployments (?project=&environment=&status=&buildNumber=&from=&to=&page=&limit=)',
+            'GET /deployments/:id': 'Detalle de un deployment',
+            'POST /deployments': 'Registra un deployment en curso (firmado)',
+            'POST /deployments/:id/events': 'Eventos de etapa y de final de un deployment (firmados)',
             'GET /stats': 'Estadísticas del servidor',
             'GET /health': 'Estado de salud del servidor'
         }
@@ -272,34 +644,44 @@ process.on('unhandledRejection', (reason, promise) => {
     console.error('❌ Promesa rechazada no manejada:', reason);
 });
 
-// Iniciar servidor
-server.listen(PORT, '0.0.0.0', () => {
+// Iniciar servidor (tras cargar el historial)
+const startServer = () => server.listen(PORT, '0.0.0.0', () => {
     console.log('🚀 ================================');
     console.log('🚀 WebSocket Notification Server');
     console.log('🚀 ================================');
     console.log(`🌐 Servidor ejecutándose en puerto ${PORT}`);
     console.log(`🔗 URL local: http://localhost:${PORT}`);
     console.log(`🔗 URL red: http://192.168.11.7:${PORT}`);
-    console.log('📡 WebSocket listo para conexiones');
+    console.log(`📡 WebSocket listo para conexiones (${ALLOW_ANONYMOUS ? 'se admiten anónimas' : 'requieren token'})`);
     console.log('🎯 Esperando notificaciones de Jenkins...');
     console.log('🚀 ================================');
 });
 
+historyStore.init()
+    .then(() => startRetention(historyStore))
+    .then(startServer)
+    .catch((error) => {
+        console.error('❌ No se pudo cargar el historial de deployments:', error);
+        process.exit(1);
+    });
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('🛑 Cerrando servidor...');
-    saveHistoryToFile();
     server.close(() => {
-        console.log('✅ Servidor cerrado correctamente');
-        process.exit(0);
+        historyStore.close().finally(() => {
+            console.log('✅ Servidor cerrado correctamente');
+            process.exit(0);
+        });
     });
 });
 
 process.on('SIGINT', () => {
     console.log('🛑 Cerrando servidor...');
-    saveHistoryToFile();
     server.close(() => {
-        console.log('✅ Servidor cerrado correctamente');
-        process.exit(0);
+        historyStore.close().finally(() => {
+            console.log('✅ Servidor cerrado correctamente');
+            process.exit(0);
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Verificación de los webhooks de CI (/notify-deployment, /notify-update).
+// Cada origen firma con su secreto compartido:
+//   X-Webhook-Source:    jenkins | github | gitlab
+//   X-Webhook-Id:        identificador único de la entrega
+//   X-Webhook-Timestamp: segundos Unix del envío
+//   X-Webhook-Signature: sha256=<hex de HMAC-SHA256(secreto, "<id>.<timestamp>.<body>")>
+// El body es el crudo, tal como llega; firmar también id y timestamp impide reutilizar una
+// firma válida cambiando esos headers.
+
+const SOURCES = ['jenkins', 'github', 'gitlab'];
+
+// Secretos por origen (WEBHOOK_SECRET_JENKINS...). Varios separados por coma para rotarlos sin cortes.
+const secrets = Object.fromEntries(SOURCES.map(source => [
+    source,
+    (process.env[`WEBHOOK_SECRET_${source.toUpperCase()}`] || '').split(',').map(secret => secret.trim()).filter(Boolean)
+]));
+
+// Diferencia máxima entre el timestamp firmado y la hora del servidor
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// Entregas ya aceptadas (id -> caducidad). Basta recordarlas mientras su timestamp sea aceptable.
+const REPLAY_CACHE_MAX = 10000;
+const deliveries = new Map();
+
+const stats = {
+    accepted: 0,
+    rejected: 0,
+    rejectedByReason: {},
+    lastRejection: null
+};
+
+const REJECTIONS = {
+    missing_headers: { status: 401, message: 'Faltan los headers de firma del webhook' },
+    unknown_source: { status: 401, message: 'Origen de webhook no configurado' },
+    invalid_timestamp: { status: 401, message: 'Timestamp del webhook fuera de la tolerancia permitida' },
+    invalid_signature: { status: 401, message: 'Firma del webhook inválida' },
+    replayed_delivery: { status: 409, message: 'Entrega de webhook ya procesada' }
+};
+
+// Guardar el body crudo al parsear JSON (express.json({ verify: captureRawBody }))
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Comparación en tiempo constante de la firma recibida con la de cada secreto del origen
+const isValidSignature = (source, signature, payload) => {
+    const received = Buffer.from(signature.replace(/^sha256=/, ''), 'utf8');
+    return secrets[source].some(secret => {
+        const expected = Buffer.from(sign(secret, payload), 'utf8');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+};
+
+const rememberDelivery = (id, now) => {
+    for (const [deliveryId, expiresAt] of deliveries) {
+        if (expiresAt > now && deliveries.size < REPLAY_CACHE_MAX) {
+            break;
+        }
+        deliveries.delete(deliveryId);
+    }
+    // Un timestamp puede adelantarse hasta la tolerancia: se recuerda el doble
+    deliveries.set(id, now + 2 * TOLERANCE_SECONDS * 1000);
+};
+
+const reject = (req, res, reason, source) => {
+    stats.rejected++;
+    stats.rejectedByReason[reason] = (stats.rejectedByReason[reason] || 0) + 1;
+    stats.lastRejection = { reason, source: source || null, ip: req.ip, path: req.path, at: new Date().toISOString() };
+
+    console.warn(`🚫 [${req.id}] Webhook rechazado en ${req.path}: ${reason} (origen: ${source || '-'}, IP: ${req.ip})`);
+
+    const { status, message } = REJECTIONS[reason];
+    res.status(status).json({
+        success: false,
+        error: message,
+        requestId: req.id
+    });
+};
+
+// Middleware: solo deja pasar webhooks firmados, dentro de la tolerancia y no repetidos
+const verifyWebhook = (req, res, next) => {
+    const source = String(req.get('X-Webhook-Source') || '').toLowerCase();
+    const id = req.get('X-Webhook-Id');
+    const timestamp = req.get('X-Webhook-Timestamp');
+    const signature = req.get('X-Webhook-Signature');
+
+    if (!source || !id || !timestamp || !signature) {
+        return reject(req, res, 'missing_headers', source);
+    }
+    if (!SOURCES.includes(source) || secrets[source].length === 0) {
+        return reject(req, res, 'unknown_source', source);
+    }
+
+    const now = Date.now();
+    if (!/^\d+$/.test(timestamp) || Math.abs(now / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) {
+        return reject(req, res, 'invalid_timestamp', source);
+    }
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    if (!isValidSignature(source, signature, `${id}.${timestamp}.${body}`)) {
+        return reject(req, res, 'invalid_signature', source);
+    }
+
+    // Solo se recuerdan entregas con firma válida: nadie puede bloquear ids ajenos
+    if (deliveries.has(id) && deliveries.get(id) > now) {
+        return reject(req, res, 'replayed_delivery', source);
+    }
+    rememberDelivery(id, now);
+
+    stats.accepted++;
+    req.webhookSource = source;
+    next();
+};
+
+const getWebhookStats = () => ({
+    ...stats,
+    rejectedByReason: { ...stats.rejectedByReason },
+    configuredSources: SOURCES.filter(source => secrets[source].length > 0)
+});
+
+if (SOURCES.every(source => secrets[source].length === 0)) {
+    console.warn('⚠️ Ningún WEBHOOK_SECRET_* configurado: se rechazarán todas las notificaciones de deployment');
+}
+
+module.exports = {
+    captureRawBody,
+    verifyWebhook,
+    getWebhookStats
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+process.env.WEBHOOK_SECRET_JENKINS = 'secreto-antiguo, secreto-jenkins';
+process.env.WEBHOOK_SECRET_GITHUB = 'secreto-github';
+delete process.env.WEBHOOK_SECRET_GITLAB;
+delete process.env.WEBHOOK_TOLERANCE_SECONDS;
+
+const { captureRawBody, verifyWebhook, getWebhookStats } = require('./webhooks');
+
+const NOW = Date.UTC(2024, 0, 1, 12, 0, 0);
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+let deliveryCount = 0;
+
+const sign = (secret, id, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${id}.${timestamp}.${body}`).digest('hex')}`;
+
+// Petición firmada como la enviaría el origen; overrides sustituye headers concretos
+const signedRequest = ({ source = 'jenkins', secret = 'secreto-jenkins', body = '{"app":"demo"}', ...overrides } = {}) => {
+    const id = overrides.id ?? `delivery-${++deliveryCount}`;
+    const timestamp = overrides.timestamp ?? String(nowSeconds());
+    const headers = {
+        'x-webhook-source': source,
+        'x-webhook-id': id,
+        'x-webhook-timestamp': timestamp,
+        'x-webhook-signature': overrides.signature ?? sign(secret, id, timestamp, body),
+        ...overrides.headers
+    };
+
+    const req = { id: 'req-1', ip: '10.0.0.1', path: '/notify-deployment', get: (name) => headers[name.toLowerCase()] };
+    captureRawBody(req, {}, Buffer.from(body, 'utf8'));
+    return req;
+};
+
+// Ejecutar el middleware: { status, body } si rechaza, { next: true } si deja pasar
+const run = (req) => {
+    const result = {};
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+    verifyWebhook(req, res, () => {
+        result.next = true;
+    });
+    return result;
+};
+
+beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('verifyWebhook', () => {
+    test('acepta una entrega firmada y anota su origen', () => {
+        const req = signedRequest();
+
+        expect(run(req)).toEqual({ next: true });
+        expect(req.webhookSource).toBe('jenkins');
+    });
+
+    test('acepta cualquiera de los secretos configurados del origen', () => {
+        expect(run(signedRequest({ secret: 'secreto-antiguo' }))).toEqual({ next: true });
+        expect(run(signedRequest({ source: 'GitHub', secret: 'secreto-github' }))).toEqual({ next: true });
+    });
+
+    test.each(['x-webhook-source', 'x-webhook-id', 'x-webhook-timestamp', 'x-webhook-signature'])('rechaza si falta %s', (header) => {
+        const result = run(signedRequest({ headers: { [header]: undefined } }));
+
+        expect(result.status).toBe(401);
+        expect(result.body).toMatchObject({ success: false, error: 'Faltan los headers de firma del webhook', requestId: 'req-1' });
+    });
+
+    test('rechaza orígenes desconocidos o sin secreto', () => {
+        for (const source of ['bitbucket', 'gitlab']) {
+            const result = run(signedRequest({ source }));
+            expect(result.status).toBe(401);
+            expect(result.body.error).toBe('Origen de webhook no configurado');
+        }
+    });
+
+    test.each([
+        ['antiguo', () => String(nowSeconds() - 301)],
+        ['futuro', () => String(nowSeconds() + 301)],
+        ['no numérico', () => '2024-01-01T12:00:00Z'],
+        ['en milisegundos', () => String(Date.now())]
+    ])('rechaza un timestamp %s', (description, timestamp) => {
+        const result = run(signedRequest({ timestamp: timestamp() }));
+
+        expect(result.status).toBe(401);
+        expect(result.body.error).toBe('Timestamp del webhook fuera de la tolerancia permitida');
+    });
+
+    test('acepta un timestamp dentro de la tolerancia', () => {
+        expect(run(signedRequest({ timestamp: String(nowSeconds() - 300) }))).toEqual({ next: true });
+        expect(run(signedRequest({ timestamp: String(nowSeconds() + 300) }))).toEqual({ next: true });
+    });
+
+    test.each([
+        ['con otro secreto', { secret: 'secreto-github' }],
+        ['malformada', { signature: 'sha256=abc' }],
+        ['de otro origen', { source: 'github', secret: 'secreto-jenkins' }]
+    ])('rechaza una firma %s', (description, options) => {
+        const result = run(signedRequest(options));
+
+        expect(result.status).toBe(401);
+        expect(result.body.error).toBe('Firma del webhook inválida');
+    });
+
+    test('la firma cubre el body, el id y el timestamp', () => {
+        const timestamp = String(nowSeconds());
+        const signature = sign('secreto-jenkins', 'delivery-firmada', timestamp, '{"app":"demo"}');
+
+        expect(run(signedRequest({ id: 'delivery-firmada', timestamp, signature, body: '{"app":"otra"}' })).status).toBe(401);
+        expect(run(signedRequest({ id: 'delivery-otra', timestamp, signature })).status).toBe(401);
+        expect(run(signedRequest({ id: 'delivery-firmada', timestamp: String(nowSeconds() - 1), signature })).status).toBe(401);
+        expect(run(signedRequest({ id: 'delivery-firmada', timestamp, signature }))).toEqual({ next: true });
+    });
+
+    test('rechaza una entrega repetida', () => {
+        const first = signedRequest({ id: 'delivery-repetida' });
+        const headers = { 'x-webhook-signature': first.get('x-webhook-signature') };
+
+        expect(run(first)).toEqual({ next: true });
+
+        const result = run(signedRequest({ id: 'delivery-repetida', timestamp: first.get('x-webhook-timestamp'), headers }));
+        expect(result.status).toBe(409);
+        expect(result.body.error).toBe('Entrega de webhook ya procesada');
+    });
+
+    test('una firma inválida no reserva el id de la entrega', () => {
+        expect(run(signedRequest({ id: 'delivery-ajena', signature: 'sha256=0' })).status).toBe(401);
+        expect(run(signedRequest({ id: 'delivery-ajena' }))).toEqual({ next: true });
+    });
+
+    test('olvida las entregas cuando su timestamp ya no sería aceptado', () => {
+        const first = signedRequest({ id: 'delivery-caducada' });
+        expect(run(first)).toEqual({ next: true });
+
+        Date.now.mockReturnValue(NOW + 601 * 1000);
+        expect(run(signedRequest({ id: 'delivery-caducada' }))).toEqual({ next: true });
+    });
+});
+
+describe('getWebhookStats', () => {
+    test('cuenta aceptadas y rechazadas por motivo', () => {
+        const before = getWebhookStats();
+
+        run(signedRequest());
+        run(signedRequest({ signature: 'sha256=0' }));
+
+        const after = getWebhookStats();
+        expect(after.accepted).toBe(before.accepted + 1);
+        expect(after.rejected).toBe(before.rejected + 1);
+        expect(after.rejectedByReason.invalid_signature).toBe((before.rejectedByReason.invalid_signature || 0) + 1);
+        expect(after.lastRejection).toMatchObject({ reason: 'invalid_signature', source: 'jenkins', ip: '10.0.0.1' });
+        expect(after.configuredSources).toEqual(['jenkins', 'github']);
+    });
+});